@@ -2,465 +2,218 @@
 
 const REPO_URL = "https://github.com/tc39/ecma262";
 
-function sleep(t) {
-  return new Promise(r => setTimeout(r, t));
+function createAbortError() {
+  return new DOMException("The operation was aborted.", "AbortError");
 }
 
-// Insert list marker into list element.
-//
-// While creating diff, extra list element can be added.
-// In that case, the default CSS list marker is affected by the change.
-//
-// So, instead of using CSS list marker in the diff view, insert text list
-// marker in the list element.
-//
-// This code is based on
-// https://hg.mozilla.org/mozilla-central/raw-file/fffcb4bbc8b17a34f5fa5013418a8956d0fdcc7a/layout/generic/nsBulletFrame.cpp
-class ListMarkUtils {
-  static getListDepth(node) {
-    let depth = 0;
-    while (node && node !== document.body) {
-      if (node.nodeName.toLowerCase() === "ol") {
-        depth++;
-      }
-      node = node.parentNode;
-    }
-    return depth;
-  }
-
-  static decimalToText(ordinal) {
-    return ordinal.toString(10);
-  }
+function isAbortError(e) {
+  return e && e.name === "AbortError";
+}
 
-  static romanToText(ordinal, achars, bchars) {
-    if (ordinal < 1 || ordinal > 3999) {
-      this.decimalToText(ordinal);
-      return false;
-    }
-    let addOn;
-    const decStr = ordinal.toString(10);
-    const len = decStr.length;
-    let romanPos = len;
-    let result = "";
-
-    for (let i = 0; i < len; i++) {
-      const dp = decStr.substr(i, 1);
-      romanPos--;
-      addOn = "";
-      switch(dp) {
-        case "3":
-          addOn += achars[romanPos];
-          // FALLTHROUGH
-        case "2":
-          addOn += achars[romanPos];
-          // FALLTHROUGH
-        case "1":
-          addOn += achars[romanPos];
-          break;
-        case "4":
-          addOn += achars[romanPos];
-          // FALLTHROUGH
-        case "5": case "6":
-        case "7": case "8":
-          addOn += bchars[romanPos];
-          for (let n = 0; "5".charCodeAt(0) + n < dp.charCodeAt(0); n++) {
-            addOn += achars[romanPos];
-          }
-          break;
-        case "9":
-          addOn += achars[romanPos];
-          addOn += achars[romanPos+1];
-          break;
-        default:
-          break;
-      }
-      result += addOn;
-    }
-    return result;
-  }
+// A pool of workers that run the same script.
+//
+// Each worker handles single task at once, and tasks are queued until some
+// worker becomes available.
+// A task is rejected if the worker throws, or the task times out, and the
+// worker is replaced with new one.
+class PromiseWorkerPool {
+  constructor(path, size, timeout) {
+    this.path = path;
+    this.size = size;
+    this.timeout = timeout;
 
-  static charListToText(ordinal, chars) {
-    const base = chars.length;
-    let buf = "";
-    if (ordinal < 1) {
-      return this.decimalToText(ordinal);
-    }
-    do {
-      ordinal--;
-      const cur = ordinal % base;
-      buf = chars.charAt(cur) + buf;
-      ordinal = Math.floor(ordinal / base);
-    } while (ordinal > 0);
-    return buf;
-  }
+    this.nextId = 0;
 
-  static toListMark(i, depth) {
-    if (depth === 1 || depth === 4) {
-      return this.decimalToText(i + 1);
-    }
-    if (depth === 2 || depth === 5) {
-      return this.charListToText(i + 1, "abcdefghijklmnopqrstuvwxyz");
-    }
-    if (depth === 3 || depth === 6) {
-      return this.romanToText(i + 1, "ixcm", "vld");
-    }
+    // Workers that are not running any task.
+    this.idleWorkers = [];
+    this.workerCount = 0;
 
-    return this.decimalToText(i + 1);
+    // Tasks that are waiting for a worker.
+    this.queue = [];
   }
 
-  static textify(box) {
-    for (const ol of box.getElementsByTagName("ol")) {
-      const depth = this.getListDepth(ol);
-
-      let i = 0;
-      for (const li of ol.children) {
-        if (li.nodeName.toLowerCase() !== "li") {
-          continue;
-        }
-
-        const mark = document.createTextNode(`${this.toListMark(i, depth)}. `);
-        li.insertBefore(mark, li.firstChild);
-
-        i++;
-      }
+  // Run a task with `data` in some worker.
+  //
+  // `signal` is an optional AbortSignal to cancel the task.
+  async run(data, signal = undefined) {
+    if (signal && signal.aborted) {
+      throw createAbortError();
     }
-  }
-}
-
-class PromiseWorker {
-  constructor(path) {
-    this.nextId = 0;
-    this.resolveMap = {};
-    this.worker = new Worker(path);
-    this.worker.onmessage = msg => {
-      const id = msg.data.id;
-      const resolve = this.resolveMap[id];
-      delete this.resolveMap[id];
-      resolve(msg.data.data);
-    };
-  }
 
-  async run(data) {
     const id = this.nextId;
     this.nextId++;
     if (this.nextId > 1000000) {
       this.nextId = 0;
     }
 
-    return new Promise(resolve => {
-      this.resolveMap[id] = resolve;
-
-      this.worker.postMessage({
-        data,
-        id,
-      });
-    });
-  }
-}
+    return new Promise((resolve, reject) => {
+      const task = { data, id, reject, resolve, signal };
 
-const HTMLPathDiffWorker = new PromiseWorker("./js/path-diff-worker.js?20200930-a");
-const HTMLTreeDiffWorker = new PromiseWorker("./js/tree-diff-worker.js?20200930-a");
+      if (signal) {
+        task.onAbort = () => {
+          const index = this.queue.indexOf(task);
+          if (index !== -1) {
+            this.queue.splice(index, 1);
+            reject(createAbortError());
+          } else if (task.worker) {
+            this.fail(task, createAbortError());
+          }
+        };
+        signal.addEventListener("abort", task.onAbort);
+      }
 
-class HTMLPathDiff {
-  static diff(s1, s2) {
-    return HTMLPathDiffWorker.run({
-      s1,
-      s2,
-      type: "diff",
+      this.queue.push(task);
+      this.runNext();
     });
   }
 
-  static splitForDiff(s1, s2) {
-    return HTMLPathDiffWorker.run({
-      s1,
-      s2,
-      type: "splitForDiff",
-    });
-  }
-}
+  runNext() {
+    while (this.queue.length > 0) {
+      let worker = this.idleWorkers.pop();
+      if (!worker) {
+        if (this.workerCount >= this.size) {
+          return;
+        }
+        worker = this.createWorker();
+      }
 
-// Calculate diff between 2 DOM tree.
-class HTMLTreeDiff {
-  constructor() {
-    this.blockNodes = new Set(
-      [
-        "div", "p", "pre",
-        "emu-annex", "emu-clause", "emu-figure",
-        "emu-note",
-        "figcaption", "figure",
-        "h1", "h2",
-        "ol", "ul", "li",
-        "dl", "dt", "dd",
-        "table", "thead", "tbody", "tr", "th", "td",
-      ]
-    );
-  }
-
-  // Calculate diff between 2 DOM tree.
-  async diff(diffNode, node1, node2) {
-    this.addNumbering("1-", node1);
-    this.addNumbering("2-", node2);
-
-    await this.splitForDiff(node1, node2);
-
-    this.combineNodes(node1, "li");
-    this.combineNodes(node2, "li");
-
-    const nodeObj1 = this.DOMTreeToPlainObject(node1);
-    const nodeObj2 = this.DOMTreeToPlainObject(node2);
-
-    const diffNodeObj = await HTMLTreeDiffWorker.run({
-      nodeObj1,
-      nodeObj2,
-    });
+      const task = this.queue.shift();
+      task.worker = worker;
+      worker.task = task;
+      task.timer = setTimeout(() => {
+        const error = new Error(`Worker timed out after ${this.timeout}ms`);
+        error.name = "TimeoutError";
+        this.fail(task, error);
+      }, this.timeout);
 
-    const tmp = this.plainObjectToDOMTree(diffNodeObj);
-    for (const child of [...tmp.childNodes]) {
-      diffNode.appendChild(child);
+      worker.postMessage({
+        data: task.data,
+        id: task.id,
+      });
     }
-
-    this.combineNodes(diffNode, "*");
-
-    this.swapInsDel(diffNode);
-
-    this.removeNumbering(diffNode);
   }
 
-  // Convert DOM tree to object tree.
-  DOMTreeToPlainObject(node) {
-    const result = this.DOMElementToPlainObject(node);
+  createWorker() {
+    const worker = new Worker(this.path);
+    this.workerCount++;
 
-    for (const child of node.childNodes) {
-      if (child.nodeType === Node.TEXT_NODE) {
-        if (this.isUnnecessaryText(child)) {
-          continue;
-        }
-
-        result.textLength += this.compressSpaces(child.textContent).length;
-        this.splitTextInto(result.childNodes, child.textContent);
-        continue;
+    worker.task = null;
+    worker.onmessage = msg => {
+      const task = worker.task;
+      if (!task || task.id !== msg.data.id) {
+        return;
       }
 
-      if (child.nodeType === Node.ELEMENT_NODE) {
-        const childObj = this.DOMTreeToPlainObject(child);
-        result.childNodes.push(childObj);
-        result.textLength += childObj.textLength;
+      this.finish(task);
+      this.idleWorkers.push(worker);
+      task.resolve(msg.data.data);
+      this.runNext();
+    };
+    worker.onerror = event => {
+      event.preventDefault();
+      const task = worker.task;
+      if (!task) {
+        return;
       }
-    }
-
-    return result;
-  }
+      this.fail(task, new Error(event.message || "Worker error"));
+    };
 
-  compressSpaces(s) {
-    return s.replace(/\s+/, " ");
+    return worker;
   }
 
-  // Remove unnecessary whitespace texts that can confuse diff algorithm.
-  //
-  // Diff algorithm used here isn't good at finding diff in repeating
-  // structure, such as list element, separated by same whitespaces.
-  //
-  // Remove such whitespaces between each `li`, to reduce the confusion.
-  isUnnecessaryText(node) {
-    if (!/^[ \r\n\t]*$/.test(node.textContent)) {
-      return false;
-    }
-
-    if (node.previousSibling) {
-      if (node.previousSibling.nodeType === Node.COMMENT_NODE ||
-          this.isBlock(node.previousSibling)) {
-        return true;
-      }
-    }
-    if (node.nextSibling) {
-      if (node.nextSibling.nodeType === Node.COMMENT_NODE ||
-          this.isBlock(node.nextSibling)) {
-        return true;
-      }
+  // Clean up the task after it's finished.
+  finish(task) {
+    clearTimeout(task.timer);
+    if (task.signal) {
+      task.signal.removeEventListener("abort", task.onAbort);
     }
-
-    return false;
-  }
-
-  isBlock(node) {
-    const name = node.nodeName.toLowerCase();
-    return this.blockNodes.has(name);
+    task.worker.task = null;
   }
 
-  // Convert single DOM element to object, without child nodes.
-  DOMElementToPlainObject(node) {
-    const attributes = {};
-    if (node.attributes) {
-      for (const attr of node.attributes) {
-        attributes[attr.name] = attr.value;
-      }
-    }
+  // Reject the running task, and terminate the worker, given the state of the
+  // worker is unknown.
+  fail(task, error) {
+    const worker = task.worker;
+    this.finish(task);
 
-    return this.createPlainObject(
-      node.nodeName.toLowerCase(), node.id, attributes);
-  }
+    worker.terminate();
+    this.workerCount--;
 
-  // Create a plain object representation for an empty DOM element.
-  createPlainObject(name, id = undefined, attributes = {}) {
-    return {
-      attributes,
-      childNodes: [],
-      id,
-      name,
-      textLength: 0,
-    };
+    task.reject(error);
+    this.runNext();
   }
+}
 
-  // Split text by whitespaces and punctuation, given that
-  // diff is performed on the tree of nodes, and text is the
-  // minimum unit.
-  //
-  // Whitespaces are appended to texts before it, instead of creating Text
-  // node with whitespace alone.
-  // This is necessary to avoid matching each whitespace in different sentence.
-  splitTextInto(childNodes, text) {
-    while (true) {
-      const spaceIndex = text.search(/\s[^\s]/);
-      const punctIndex = text.search(/[.,:;?!()[\]]/);
-      if (spaceIndex === -1 && punctIndex === -1) {
-        break;
-      }
+// Maximum time to calculate diff of single section.
+const DIFF_TIMEOUT = 60 * 1000;
+
+// The number of workers for each diff algorithm.
+const DIFF_WORKERS = Math.max(1, Math.min(
+  4, (navigator.hardwareConcurrency || 2) - 1));
+
+// The number of sections in the combined view, above which sections are
+// diffed when scrolled into view.
+const LAZY_SECTIONS = 20;
+
+// The list of keyboard shortcuts handled by `Comparator#onKeyDown`, shown by
+// pressing "?".
+const KEYBOARD_SHORTCUTS = [
+  ["j / n", "next change"],
+  ["k / p", "previous change"],
+  ["J / ]", "next changed section"],
+  ["K / [", "previous changed section"],
+  ["d / s / f / t", "diff / split / from / to tab"],
+  ["/", "search section"],
+  ["Esc", "clear the current change, or leave the search field"],
+  ["?", "show this list"],
+];
+
+// Versions of the diff algorithms.
+// These should be updated when the result of the diff changes, to invalidate
+// the browser cache and `DiffCache`.
+const PATH_DIFF_VERSION = "20200930-a";
+const TREE_DIFF_VERSION = "20261018-k";
+
+const HTMLPathDiffWorker = new PromiseWorkerPool(
+  `./js/path-diff-worker.js?${PATH_DIFF_VERSION}`, DIFF_WORKERS, DIFF_TIMEOUT);
+const HTMLTreeDiffWorker = new PromiseWorkerPool(
+  `./js/tree-diff-worker.js?${TREE_DIFF_VERSION}`, DIFF_WORKERS, DIFF_TIMEOUT);
 
-      if (punctIndex !== -1 && (spaceIndex === -1 || punctIndex < spaceIndex)) {
-        if (punctIndex > 0) {
-          childNodes.push(text.slice(0, punctIndex));
-        }
-        childNodes.push(text.slice(punctIndex, punctIndex + 1));
-        text = text.slice(punctIndex + 1);
-      } else {
-        childNodes.push(text.slice(0, spaceIndex + 1));
-        text = text.slice(spaceIndex + 1);
-      }
-    }
-    if (text) {
-      childNodes.push(text);
-    }
+class HTMLPathDiff {
+  static diff(s1, s2, signal = undefined) {
+    return HTMLPathDiffWorker.run({
+      s1,
+      s2,
+      type: "diff",
+    }, signal);
   }
+}
 
-  // Add unique ID ("tree-diff-num" attribute) to each element.
-  //
-  // See `splitForDiff` for more details.
-  addNumbering(prefix, node) {
-    let i = 0;
-    for (const child of node.getElementsByTagName("*")) {
-      child.setAttribute("tree-diff-num", prefix + i);
-      i++;
-    }
+// HTMLTreeDiff that performs the expensive steps in workers.
+//
+// `signal` is an optional AbortSignal to cancel the diff.
+class WorkerHTMLTreeDiff extends HTMLTreeDiff {
+  constructor(options = {}, signal = undefined) {
+    super(options);
+    this.signal = signal;
   }
 
-  // Split both DOM tree, using text+path based LCS, to have similar tree
-  // structure.
-  //
-  // This is a workaround for the issue that raw tree LCS cannot handle
-  // split/merge.
-  //
-  // To solve the issue, split both tree by `splitForDiff` to make each text
-  // match even if parent tree gets split/merged.
-  //
-  // This caused another issue when `splitForDiff` split more than necessary
-  // (like, adding extra list element).
-  //
-  // Such nodes are combined in `combineNodes`, based on the unique ID
-  // added by `addNumbering`, and those IDs are removed in `removeNumbering`.
-  //
-  // Also, `LCSToDiff` always places `ins` after `del`, but `combineNodes` can
-  // merge 2 nodes where first one ends with `ins` and the second one starts
-  // with `del`. `swapInsDel` fixes up the order.
   async splitForDiff(node1, node2) {
-    const [html1, html2] = await HTMLPathDiff.splitForDiff(
-      node1.innerHTML, node2.innerHTML);
+    const [html1, html2] = await HTMLTreeDiffWorker.run({
+      s1: node1.innerHTML,
+      s2: node2.innerHTML,
+      type: "splitForDiff",
+    }, this.signal);
     node1.innerHTML = html1;
     node2.innerHTML = html2;
   }
 
-  // Convert object tree to DOM tree.
-  plainObjectToDOMTree(nodeObj) {
-    if (typeof nodeObj === "string") {
-      return document.createTextNode(nodeObj);
-    }
-
-    const result = document.createElement(nodeObj.name);
-    for (const [key, value] of Object.entries(nodeObj.attributes)) {
-      result.setAttribute(key, value);
-    }
-    for (const child of nodeObj.childNodes) {
-      result.appendChild(this.plainObjectToDOMTree(child));
-    }
-
-    return result;
-  }
-
-  // Combine adjacent nodes with same ID ("tree-diff-num" attribute) into one
-  //
-  // See `splitForDiff` for more details.
-  combineNodes(node, name) {
-    const removedNodes = new Set();
-
-    for (const child of [...node.getElementsByTagName(name)]) {
-      if (removedNodes.has(child)) {
-        continue;
-      }
-
-      if (!child.hasAttribute("tree-diff-num")) {
-        continue;
-      }
-
-      const num = child.getAttribute("tree-diff-num");
-      while (true) {
-        if (!child.nextSibling) {
-          break;
-        }
-
-        if (!(child.nextSibling instanceof Element)) {
-          break;
-        }
-
-        const next = child.nextSibling;
-        if (next.getAttribute("tree-diff-num") !== num) {
-          break;
-        }
-
-        while (next.firstChild) {
-          child.appendChild(next.firstChild);
-        }
-
-        removedNodes.add(next);
-        next.remove();
-      }
-    }
-  }
-
-  // Swap `ins`+`del` to `del`+`ins`.
-  //
-  // See `splitForDiff` for more details.
-  swapInsDel(node) {
-    for (const child of [...node.getElementsByClassName("htmldiff-ins")]) {
-      if (!child.nextSibling) {
-        continue;
-      }
-
-      if (!(child.nextSibling instanceof Element)) {
-        continue;
-      }
-
-      if (child.nextSibling.classList.contains("htmldiff-del")) {
-        child.before(child.nextSibling);
-      }
-    }
-  }
-
-  // Add "tree-diff-num" attribute from all elements.
-  //
-  // See `splitForDiff` for more details.
-  removeNumbering(node) {
-    for (const child of node.getElementsByTagName("*")) {
-      child.removeAttribute("tree-diff-num");
-    }
+  async diffPlainObjects(nodeObj1, nodeObj2) {
+    return HTMLTreeDiffWorker.run({
+      nodeObj1,
+      nodeObj2,
+      options: this.options,
+    }, this.signal);
   }
 }
 
@@ -524,11 +277,42 @@ class Comparator {
     // The `sections.json` data for the currently selected "to" revision.
     this.toSecData = {};
 
-    // `True` if diff calculation is ongoing.
-    this.processing = false;
+    // SectionsComparator for `fromSecData` and `toSecData`.
+    this.secComparator = null;
+    this.fromBaseSecData = null;
+    this.toBaseSecData = null;
+
+    // AbortController for the currently ongoing diff calculation.
+    this.processingController = null;
+
+    // Promise resolved when the currently ongoing diff calculation finishes.
+    this.processingDone = null;
+
+    // Incremented each time new diff calculation is requested.
+    this.processingGeneration = 0;
+
+    // The list of section ids that the diff calculation failed.
+    this.failedSections = [];
 
-    // Set to `True` to tell the currently ongoing diff calculation to abort.
-    this.abortProcessing = false;
+    // True if any section's HTML differs between from/to revisions.
+    this.sectionsDiffer = false;
+
+    // The number of diffs put into the page, used for making the ids inside
+    // them unique.
+    this.diffCount = 0;
+
+    // IntersectionObserver and AbortController for the sections that are
+    // diffed when scrolled into view, in `combineSectionsLazily`.
+    this.lazyObserver = null;
+    this.lazyController = null;
+    // Map from the section id to the ids of its subsections, and map from
+    // the placeholder to the promise for the section being diffed.
+    this.lazyChildIds = new Map();
+    this.lazyRenders = new WeakMap();
+
+    // True if `fromSecData` and `toSecData` contain only the changed
+    // sections, loaded from `parent_diff.json`.
+    this.partialSecData = false;
 
     this.header = document.getElementById("header");
     this.collapsedHeaderLine = document.getElementById("collapsed-header-line");
@@ -538,6 +322,9 @@ class Comparator {
     this.collapsedStat = document.getElementById("collapsed-header-line-stat");
     this.prFilter = document.getElementById("pr-filter");
     this.revFilter = document.getElementById("rev-filter");
+    this.prRevBox = document.getElementById("pr-rev-box");
+    this.prFromRev = document.getElementById("pr-from-rev");
+    this.prToRev = document.getElementById("pr-to-rev");
     this.fromRev = document.getElementById("from-rev");
     this.toRev = document.getElementById("to-rev");
     this.secList = document.getElementById("sec-list");
@@ -546,6 +333,11 @@ class Comparator {
     this.secDataMap = {};
     this.secAll = document.getElementById("sec-all");
     this.secSubtree = document.getElementById("sec-subtree");
+    this.secSort = document.getElementById("sec-sort");
+    this.secMinChange = document.getElementById("sec-min-change");
+    this.secNormative = document.getElementById("sec-normative");
+    this.secUnreviewed = document.getElementById("sec-unreviewed");
+    this.secReviewStat = document.getElementById("sec-review-stat");
     this.prLink = document.getElementById("pr-link");
     this.fromLink = document.getElementById("from-history-link");
     this.toLink = document.getElementById("to-history-link");
@@ -558,8 +350,14 @@ class Comparator {
     this.viewFromTab = document.getElementById("view-from-tab");
     this.viewToTab = document.getElementById("view-to-tab");
     this.viewDiffTab = document.getElementById("view-diff-tab");
+    this.viewSplit = document.getElementById("view-split");
+    this.viewSplitTab = document.getElementById("view-split-tab");
     this.workBoxContainer = document.getElementById("work-box-container");
     this.pathDiff = document.getElementById("path-diff");
+    this.charDiff = document.getElementById("char-diff");
+    this.algDiff = document.getElementById("alg-diff");
+    this.threeWay = document.getElementById("three-way");
+    this.hideRenumbering = document.getElementById("hide-renumbering");
     this.scroller = document.getElementById("scroller");
     this.searchField = document.getElementById("search");
     this.revsAndPRsList = document.getElementById("revs-and-prs-list");
@@ -575,11 +373,160 @@ class Comparator {
     this.notfoundRev = undefined;
 
     this.compareTimer = null;
+
+    // Map from the path of PR revision's snapshot to the promise for whether
+    // it exists.
+    this.prRevSnapshots = new Map();
+
+    this.diffCache = new DiffCache();
+    this.reviewProgress = new ReviewProgress();
+    this.diffCacheStat = document.getElementById("diff-cache-stat");
+    this.diffCacheBox = document.getElementById("diff-cache-box");
+    this.diffCacheList = document.getElementById("diff-cache-list");
+
+    this.textExportBox = document.getElementById("text-export-box");
+    this.textExportFormat = document.getElementById("text-export-format");
+    this.textExportArea = document.getElementById("text-export-area");
+
+    // The change selected by keyboard navigation.
+    this.currentChange = null;
+
+    this.minimap = document.getElementById("minimap");
+    this.minimapMarks = document.getElementById("minimap-marks");
+    this.minimapViewport = document.getElementById("minimap-viewport");
+    // Map from the mark in the minimap to the element in the result.
+    this.minimapTargets = new WeakMap();
+    this.minimapUpdateScheduled = false;
+  }
+
+  scheduleMinimapUpdate() {
+    if (this.minimapUpdateScheduled) {
+      return;
+    }
+    this.minimapUpdateScheduled = true;
+    requestAnimationFrame(() => {
+      this.minimapUpdateScheduled = false;
+      this.updateMinimap();
+    });
+  }
+
+  // Put the marks for changes and changed sections in the result into the
+  // minimap.
+  //
+  // Marks at the same position are merged.
+  updateMinimap() {
+    this.minimapMarks.textContent = "";
+    if (!this.result.classList.contains("diff-view")) {
+      this.minimap.classList.remove("shown");
+      return;
+    }
+
+    const changes = this.getNavigableChanges();
+    if (changes.length === 0) {
+      this.minimap.classList.remove("shown");
+      return;
+    }
+    this.minimap.classList.add("shown");
+
+    const docHeight = document.documentElement.scrollHeight;
+    const mapHeight = this.minimap.clientHeight;
+    const used = new Set();
+    const addMark = (target, type, title) => {
+      const ratio = (target.getBoundingClientRect().top + window.scrollY) / docHeight;
+      const key = `${type}:${Math.floor(ratio * mapHeight)}`;
+      if (used.has(key)) {
+        return;
+      }
+      used.add(key);
+
+      const mark = document.createElement("div");
+      mark.classList.add("minimap-mark", `minimap-${type}`);
+      mark.style.top = `${ratio * 100}%`;
+      if (title) {
+        mark.title = title;
+      }
+      this.minimapTargets.set(mark, target);
+      this.minimapMarks.appendChild(mark);
+    };
+
+    for (const { id, section } of this.getChangedSectionElements()) {
+      addMark(section, "section", this.secComparator.getSectionTitle(id) || id);
+    }
+    for (const change of changes) {
+      addMark(change, this.getChangeType(change), "");
+    }
+
+    this.updateMinimapViewport();
+  }
+
+  // Returns "ins", "del", "move", or "mod" for the change.
+  getChangeType(change) {
+    const classList = change.classList;
+    if (classList.contains("htmldiff-move-from") ||
+        classList.contains("htmldiff-move-to")) {
+      return "move";
+    }
+    if (classList.contains("htmldiff-ins")) {
+      return "ins";
+    }
+    if (classList.contains("htmldiff-del")) {
+      return "del";
+    }
+    return "mod";
+  }
+
+  updateMinimapViewport() {
+    if (!this.minimap.classList.contains("shown")) {
+      return;
+    }
+
+    const doc = document.documentElement;
+    const docHeight = doc.scrollHeight;
+    this.minimapViewport.style.top = `${window.scrollY / docHeight * 100}%`;
+    this.minimapViewport.style.height = `${doc.clientHeight / docHeight * 100}%`;
+  }
+
+  // Jump to the change or the section for the clicked mark, or to the
+  // clicked position.
+  onMinimapClick(event) {
+    const target = this.minimapTargets.get(event.target);
+    if (target) {
+      if (target.classList.contains("htmldiff-change")) {
+        this.setCurrentChange(target);
+        target.scrollIntoView({ behavior: "smooth", block: "center" });
+        this.highlightChanges([target]);
+      } else {
+        this.setCurrentChange(null);
+        target.scrollIntoView({ behavior: "smooth", block: "start" });
+      }
+      return;
+    }
+
+    const rect = this.minimap.getBoundingClientRect();
+    const doc = document.documentElement;
+    const ratio = (event.clientY - rect.top) / rect.height;
+    window.scrollTo({
+      behavior: "smooth",
+      left: 0,
+      top: ratio * doc.scrollHeight - doc.clientHeight / 2,
+    });
+  }
+
+  async updateDiffCacheStat() {
+    const count = await this.diffCache.count();
+    this.diffCacheStat.textContent = ` cache: ${count} sections `;
   }
 
   async run() {
+    // The position of changes moves when the result is updated, lazily
+    // rendered, or resized.
+    new ResizeObserver(() => {
+      this.scheduleMinimapUpdate();
+    }).observe(this.result);
+
     await this.loadResources();
     this.populateLists();
+    this.updateDiffCacheStat().catch(e => console.error(e));
 
     await this.parseQuery();
   }
@@ -600,6 +547,8 @@ class Comparator {
       pr.parent = this.getFirstParent(pr.revs[pr.revs.length-1]);
       this.prMap[pr.number] = pr;
     }
+
+    this.prRevisions = new PRRevisions(this.revMap, this.prMap);
   }
 
   // Return the first parent of `rev`.
@@ -702,10 +651,78 @@ class Comparator {
 
     for (const pr of this.prs) {
       const opt = document.createElement("option");
-      opt.value = this.prToOptValue(pr);
+      opt.value = PRRevisions.prToOptValue(pr);
       opt.textContent = `${pr.head} (PR ${pr.number} by ${pr.login})`;
       menu.appendChild(opt);
+
+      for (const rev of pr.revs) {
+        if (rev.hash === pr.head) {
+          continue;
+        }
+
+        const opt = document.createElement("option");
+        opt.value = PRRevisions.prRevToOptValue(pr, rev.hash);
+        opt.textContent = `${rev.hash} (PR ${pr.number} by ${pr.login}, old)`;
+        menu.appendChild(opt);
+      }
+    }
+  }
+
+  // Populate the menus for PR revisions.
+  //
+  // The from menu has the PR's base, and the to menu has the PR's head, as
+  // the first item.
+  // Revisions without the snapshot, such as intermediate commits of a push,
+  // are not listed.
+  async populatePRRevs(pr) {
+    const available = await Promise.all(pr.revs.map(
+      rev => rev.hash === pr.head || this.hasPRRevSnapshot(pr, rev.hash)));
+    const revs = pr.revs.filter((rev, i) => available[i]);
+
+    for (const menu of [this.prFromRev, this.prToRev]) {
+      while (menu.firstChild) {
+        menu.firstChild.remove();
+      }
+    }
+
+    const MAX_SUBJECT_LENGTH = 40;
+
+    const base = document.createElement("option");
+    base.value = "base";
+    base.textContent = `base (${pr.parent.slice(0, 8)})`;
+    this.prFromRev.appendChild(base);
+
+    for (const rev of revs) {
+      let subject = rev.subject;
+      if (subject.length > MAX_SUBJECT_LENGTH) {
+        subject = subject.slice(0, MAX_SUBJECT_LENGTH - 1) + "\u2026";
+      }
+
+      let label = `${rev.hash.slice(0, 8)} ${subject}`;
+      if (rev.hash === pr.head) {
+        label = `head: ${label}`;
+      }
+
+      for (const menu of [this.prFromRev, this.prToRev]) {
+        const opt = document.createElement("option");
+        opt.value = rev.hash;
+        opt.textContent = label;
+        menu.appendChild(opt);
+      }
     }
+
+    this.prFromRev.value = "base";
+    this.prToRev.value = pr.head;
+  }
+
+  // Returns true if the snapshot of the PR's revision exists.
+  async hasPRRevSnapshot(pr, hash) {
+    const path = `./history/${PRRevisions.prRevToOptValue(pr, hash)}/sections.json`;
+    if (!this.prRevSnapshots.has(path)) {
+      this.prRevSnapshots.set(path, fetch(path, { method: "HEAD" })
+        .then(response => response.ok, () => false));
+    }
+    return this.prRevSnapshots.get(path);
   }
 
   // Populate autocomplete for search.
@@ -733,8 +750,19 @@ class Comparator {
     }
   }
 
-  prToOptValue(pr) {
-    return `PR/${pr.number}/${pr.head}`;
+  // Returns a short name for the option value of from/to revisions.
+  toShortRevName(value) {
+    const prRev = this.prRevisions.optValueToPRRev(value);
+    if (prRev) {
+      return `#${prRev.pr.number}@${prRev.hash.slice(0,8)}`;
+    }
+    return value.slice(0,8);
+  }
+
+  // Returns true if `value` is a revision on the main branch, or a revision
+  // of a PR.
+  isKnownRev(value) {
+    return value in this.revMap || this.prRevisions.optValueToPRRev(value) !== null;
   }
 
   async parseQuery() {
@@ -787,6 +815,8 @@ class Comparator {
     } else if ("pr" in queryParams) {
       this.updateUI("pr", {
         pr: queryParams.pr,
+        prFrom: queryParams.prFrom,
+        prTo: queryParams.prTo,
         section,
       });
     } else if ("from" in queryParams && "to" in queryParams) {
@@ -821,13 +851,15 @@ class Comparator {
       }
 
       this.prFilter.value = "-";
+      this.hidePRRevs();
     } else if (type === "pr") {
       const prnum = params.pr;
       if (prnum in this.prMap) {
         this.prFilter.value = prnum;
-        this.selectFromToForPR(prnum);
+        await this.selectFromToForPR(prnum, params.prFrom, params.prTo);
         this.updatePRLink(prnum);
       } else {
+        this.hidePRRevs();
         this.fromRev.value = "-";
         this.toRev.value = "-";
         if (prnum !== "-") {
@@ -839,7 +871,7 @@ class Comparator {
     } else if (type === "from-to") {
       if ("from" in params) {
         const from = params.from;
-        if (from in this.revMap) {
+        if (this.isKnownRev(from)) {
           this.fromRev.value = from;
         } else {
           this.fromRev.value = "-";
@@ -847,7 +879,7 @@ class Comparator {
       }
       if ("to" in params) {
         const to = params.to;
-        if (to in this.revMap) {
+        if (this.isKnownRev(to)) {
           this.toRev.value = to;
         } else {
           this.toRev.value = "-";
@@ -856,6 +888,7 @@ class Comparator {
 
       this.revFilter.value = "-";
       this.prFilter.value = "-";
+      this.hidePRRevs();
     }
 
     this.updateHistoryLink();
@@ -872,12 +905,82 @@ class Comparator {
     await this.compare();
   }
 
-  selectFromToForPR(prnum) {
-    if (prnum in this.prMap) {
-      const pr = this.prMap[prnum];
+  // Select from/to revisions for the PR.
+  //
+  // `prFrom` and `prTo` are optional hashes of the PR's revisions, to compare
+  // 2 revisions of the PR, instead of the PR's base and head.
+  // `prFrom` can also be "base".
+  async selectFromToForPR(prnum, prFrom = "base", prTo = undefined) {
+    if (!(prnum in this.prMap)) {
+      return;
+    }
+
+    const pr = this.prMap[prnum];
+    await this.populatePRRevs(pr);
+    this.prRevBox.style.display = "inline";
+
+    const hashes = new Set(
+      Array.from(this.prToRev.options, opt => opt.value));
+    if (prFrom && hashes.has(prFrom)) {
+      this.prFromRev.value = prFrom;
+    }
+    if (prTo && hashes.has(prTo)) {
+      this.prToRev.value = prTo;
+    }
+
+    if (this.prFromRev.value === "base") {
       this.fromRev.value = pr.parent;
-      this.toRev.value = this.prToOptValue(pr);
+    } else {
+      this.fromRev.value = PRRevisions.prRevToOptValue(pr, this.prFromRev.value);
+    }
+    this.toRev.value = PRRevisions.prRevToOptValue(pr, this.prToRev.value);
+  }
+
+  hidePRRevs() {
+    this.prRevBox.style.display = "none";
+  }
+
+  // Returns true if from/to revisions are 2 revisions of the PR, instead of
+  // the PR's base and head.
+  isPRInterdiff() {
+    return this.prRevisions.isPRInterdiff(
+      this.prFilter.value, this.prFromRev.value, this.prToRev.value);
+  }
+
+  // Returns true if both from/to revisions are PR revisions.
+  isComparingPRs() {
+    return this.prRevisions.isComparingPRs(
+      this.fromRev.value, this.toRev.value);
+  }
+
+  // Load the base revisions for from/to revisions, if they're 2 revisions of
+  // PRs, so that the changes in the main branch between their bases are not
+  // shown, and also for the three-way view.
+  async loadBaseSecData() {
+    this.fromBaseSecData = null;
+    this.toBaseSecData = null;
+
+    const bases = this.prRevisions.getBases(
+      this.fromRev.value, this.toRev.value,
+      this.prFilter.value, this.prFromRev.value, this.prToRev.value);
+    if (!bases) {
+      return;
+    }
+
+    const { fromBase, toBase } = bases;
+
+    const [fromBaseSecData, toBaseSecData] = await Promise.all([
+      this.getSecData(fromBase),
+      fromBase === toBase ? null : this.getSecData(toBase),
+    ]);
+    if (!fromBaseSecData || (fromBase !== toBase && !toBaseSecData)) {
+      return;
     }
+
+    this.fromBaseSecData = fromBaseSecData;
+    this.toBaseSecData = toBaseSecData || fromBaseSecData;
+    SectionsComparator.createSecMap(this.fromBaseSecData);
+    SectionsComparator.createSecMap(this.toBaseSecData);
   }
 
   selectFromToForRev(hash) {
@@ -933,17 +1036,19 @@ class Comparator {
     if (m) {
       const prnum = m[1];
       const pr = this.prMap[prnum];
+      const index = Math.max(0, pr.revs.findIndex(rev => rev.hash === m[2]));
+      const rev = pr.revs[index];
 
-      subjectLink.textContent = pr.revs[0].subject;
+      subjectLink.textContent = rev.subject;
       subjectLink.href = `${REPO_URL}/pull/${pr.number}`;
-      if (pr.revs.length > 1) {
-        note.textContent = ` + ${pr.revs.length - 1} revisions`;
+      if (pr.revs.length - index > 1) {
+        note.textContent = ` + ${pr.revs.length - index - 1} revisions`;
       } else {
         note.textContent = "";
       }
-      author.textContent = `by ${pr.revs[0].author}`;
+      author.textContent = `by ${rev.author}`;
 
-      const d = pr.revs[0].date;
+      const d = rev.date;
       date.title = d;
       date.textContent = `(${DateUtils.toRelativeTime(d)}${DateUtils.toReadable(d)})`;
     } else if (name in this.revMap) {
@@ -1003,9 +1108,9 @@ class Comparator {
 
     const from = this.fromRev.value;
     const to = this.toRev.value;
-    if (from in this.revMap && to in this.revMap) {
+    if (this.isKnownRev(from) && this.isKnownRev(to)) {
       this.collapsedSubjectLink.textContent = "";
-      this.collapsedSubject.textContent = `${from.slice(0,8)} .. ${to.slice(0,8)}`;
+      this.collapsedSubject.textContent = `${this.toShortRevName(from)} .. ${this.toShortRevName(to)}`;
       this.collapsedAuthor.textContent = "";
       return;
     }
@@ -1020,29 +1125,28 @@ class Comparator {
       this.getSecData(this.fromRev.value),
       this.getSecData(this.toRev.value)
     ]);
+    this.partialSecData = false;
   }
 
-  createSecMap() {
-    {
-      const map = {};
-      for (const id in this.fromSecData.secData) {
-        map[id] = this.fromSecData.secData[id].num;
-      }
-      for (const id in this.fromSecData.figData) {
-        map[id] = this.fromSecData.figData[id];
-      }
-      this.fromSecData.map = map;
+  // Load all sections of from/to revisions, if only the changed sections are
+  // loaded.
+  async loadFullDiffIfPartial() {
+    if (!this.partialSecData) {
+      return;
     }
 
-    {
-      const map = {};
-      for (const id in this.toSecData.secData) {
-        map[id] = this.toSecData.secData[id].num;
-      }
-      for (const id in this.toSecData.figData) {
-        map[id] = this.toSecData.figData[id];
-      }
-      this.toSecData.map = map;
+    await this.loadFullDiff();
+    this.createSecMap();
+  }
+
+  createSecMap() {
+    SectionsComparator.createSecMap(this.fromSecData);
+    SectionsComparator.createSecMap(this.toSecData);
+
+    this.secComparator = new SectionsComparator(this.fromSecData, this.toSecData);
+    if (this.fromBaseSecData && this.toBaseSecData) {
+      this.secComparator.setBaseSecData(this.fromBaseSecData,
+                                        this.toBaseSecData);
     }
   }
 
@@ -1064,6 +1168,7 @@ class Comparator {
       if (result) {
         this.fromSecData = result.from;
         this.toSecData = result.to;
+        this.partialSecData = true;
         found = true;
       }
     }
@@ -1072,6 +1177,8 @@ class Comparator {
       await this.loadFullDiff();
     }
 
+    await this.loadBaseSecData();
+
     if (!this.fromSecData || !this.toSecData) {
       this.setStat("");
       this.messageOverlay.classList.add("shown");
@@ -1119,10 +1226,6 @@ class Comparator {
 
     this.secHit.textContent = "";
 
-    const fromSecSet = new Set(this.fromSecData.secList);
-    const toSecSet = new Set(this.toSecData.secList);
-    const secSet = new Set(this.fromSecData.secList.concat(this.toSecData.secList));
-
     const showAll = this.secAll.checked;
 
     const opt = document.createElement("option");
@@ -1131,66 +1234,83 @@ class Comparator {
     this.secList.appendChild(opt);
     this.secList.value = opt.value;
 
-    let count = 0;
-    for (const secId of Array.from(secSet).sort((a, b) => {
-      const aTitle = this.getComparableTitle(a);
-      const bTitle = this.getComparableTitle(b);
-      if (aTitle === bTitle) {
-        return 0;
-      }
-      return aTitle < bTitle ? -1 : 1;
-    })) {
-      let stat;
-      let mark;
-
-      let fromNum = "";
-      let toNum = "";
-
-      if (fromSecSet.has(secId)) {
-        fromNum = this.fromSecData.secData[secId].num;
-
-        if (toSecSet.has(secId)) {
-          toNum = this.toSecData.secData[secId].num;
-
-          if (!this.isChanged(secId)) {
-            if (showAll) {
-              stat = "same";
-              mark = "  ";
-            } else {
-              this.secIdList.push({
-                fromNum,
-                id: secId,
-                stat: "same",
-                toNum,
-              });
-              continue;
-            }
-          } else {
-            stat = "mod";
-            mark = "-+";
-          }
-        } else {
-          stat = "del";
-          mark = "-\u00A0";
-        }
-      } else {
-        const toSec = this.toSecData.secData[secId];
-        toNum = toSec.num;
+    const summaryOpt = document.createElement("option");
+    summaryOpt.value = "summary";
+    summaryOpt.textContent = "Summary table";
+    this.secList.appendChild(summaryOpt);
+    if (prevValue === summaryOpt.value) {
+      this.secList.value = summaryOpt.value;
+    }
+
+    const aosOpt = document.createElement("option");
+    aosOpt.value = "aos";
+    aosOpt.textContent = "Abstract operations";
+    this.secList.appendChild(aosOpt);
+    if (prevValue === aosOpt.value) {
+      this.secList.value = aosOpt.value;
+    }
+
+    const xrefsOpt = document.createElement("option");
+    xrefsOpt.value = "xrefs";
+    xrefsOpt.textContent = "Cross-references";
+    this.secList.appendChild(xrefsOpt);
+    if (prevValue === xrefsOpt.value) {
+      this.secList.value = xrefsOpt.value;
+    }
+
+    const minChange = parseInt(this.secMinChange.value) || 0;
+    const normativeOnly = this.secNormative.checked;
+    const unreviewedOnly = this.secUnreviewed.checked;
 
-        stat = "ins";
-        mark = "+\u00A0";
+    const items = this.secComparator.getSectionList();
+
+    const fingerprints = new Map();
+    for (const item of items) {
+      if (item.stat !== "same") {
+        fingerprints.set(item.id, this.getSectionFingerprint(item.id));
       }
+    }
+    this.reviewProgress.load(
+      this.getReviewName(), this.getReviewHead(), fingerprints);
+    for (const item of items) {
+      const { del, ins } = item.stat === "same"
+        ? { del: 0, ins: 0 }
+        : this.secComparator.getWordStat(item.id);
+      item.del = del;
+      item.ins = ins;
+      item.categories = item.stat === "same"
+        ? []
+        : this.secComparator.getChangeCategories(item.id);
+      item.reviewed = item.stat !== "same" &&
+        this.reviewProgress.isReviewed(item.id, fingerprints.get(item.id));
+      // Sections filtered out by the size or the category of change, or
+      // already reviewed, are not shown in the list and the combined view.
+      item.hidden = item.stat !== "same" &&
+        (ins + del < minChange ||
+         (normativeOnly && !this.secComparator.isNormativeChange(item.id)) ||
+         (unreviewedOnly && item.reviewed));
+
+      this.secIdList.push(item);
+    }
+
+    // The sort order applies only to the list. The combined view always
+    // follows the section order.
+    let listed = items.filter(
+      item => (item.stat !== "same" || showAll) && !item.hidden);
+    if (this.secSort.value === "size") {
+      listed = listed.slice().sort(
+        (a, b) => (b.ins + b.del) - (a.ins + a.del));
+    }
+
+    let count = 0;
+    for (const item of listed) {
+      const { id: secId, stat } = item;
 
       const opt = document.createElement("option");
       opt.value = secId;
 
-      const title = this.getSectionTitle(secId);
-
-      if (title) {
-        opt.textContent = `${mark} ${title.slice(0, 100)}`;
-      } else {
-        opt.textContent = `${mark} ${secId}`;
-      }
+      const title = this.secComparator.getSectionTitle(secId);
+      this.updateSectionOption(opt, item);
       opt.classList.add(stat);
 
       this.secList.appendChild(opt);
@@ -1204,12 +1324,6 @@ class Comparator {
       dataOpt.textContent = title;
       this.secDataList.appendChild(dataOpt);
 
-      this.secIdList.push({
-        fromNum,
-        id: secId,
-        stat,
-        toNum,
-      });
       if (stat !== "same") {
         count++;
       }
@@ -1224,6 +1338,90 @@ class Comparator {
     } else {
       this.secHit.textContent = `${count} sections differ`;
     }
+
+    this.updateReviewStat();
+  }
+
+  // Set the text of the option in the section list for `item` in
+  // `secIdList`.
+  updateSectionOption(opt, item) {
+    const { id: secId, stat } = item;
+
+    const mark = this.getStatMark(stat);
+    const reviewed = item.reviewed ? "\u2713 " : "";
+    const title = this.secComparator.getSectionTitle(secId);
+    // The word stat is approximate, see `SectionsComparator#getWordStat`.
+    const wordStat = stat === "same" ? "" : ` (\u2248 +${item.ins} -${item.del})`;
+    const moved = stat === "move" ? ` (moved from ${item.fromNum} #${item.fromId})` : "";
+    const categories = item.categories.length > 0
+      ? ` [${item.categories.join(", ")}]`
+      : "";
+
+    if (title) {
+      opt.textContent = `${mark} ${reviewed}${title.slice(0, 100)}${moved}${wordStat}${categories}`;
+    } else {
+      opt.textContent = `${mark} ${reviewed}${secId}${moved}${wordStat}${categories}`;
+    }
+    opt.classList.toggle("reviewed", item.reviewed);
+  }
+
+  // Returns the name to store the review progress, for the PR or the pair of
+  // from/to revisions.
+  getReviewName() {
+    return ReviewProgress.getName(
+      this.prFilter.value, this.fromRev.value, this.toRev.value);
+  }
+
+  // Returns the PR revision that the review progress is for, or null if not
+  // comparing the PR.
+  getReviewHead() {
+    if (this.prFilter.value === "-") {
+      return null;
+    }
+    return this.prToRev.value;
+  }
+
+  getSectionFingerprint(secId) {
+    const fromHTML = this.secComparator.getFromSectionHTML(secId) || "";
+    const toHTML = SectionsComparator.getSectionHTML(this.toSecData, secId) || "";
+    return ReviewProgress.createFingerprint(
+      this.secComparator.filterAttributeForComparison(fromHTML),
+      this.secComparator.filterAttributeForComparison(toHTML));
+  }
+
+  // Mark the section as reviewed or unreviewed, and update the section list
+  // and the buttons in the result.
+  setSectionReviewed(secId, reviewed) {
+    this.reviewProgress.setReviewed(
+      secId, this.getSectionFingerprint(secId), reviewed);
+
+    const item = this.secIdList.find(item => item.id === secId);
+    if (item) {
+      item.reviewed = reviewed;
+      const opt = [...this.secList.options].find(opt => opt.value === secId);
+      if (opt) {
+        this.updateSectionOption(opt, item);
+      }
+    }
+
+    for (const button of this.result.getElementsByClassName("review-button")) {
+      if (button.getAttribute("data-section-id") === secId) {
+        this.updateReviewButton(button, reviewed);
+      }
+    }
+
+    this.updateReviewStat();
+  }
+
+  updateReviewStat() {
+    const changed = this.secIdList.filter(item => item.stat !== "same");
+    if (changed.length === 0) {
+      this.secReviewStat.textContent = "";
+      return;
+    }
+
+    const reviewed = changed.filter(item => item.reviewed).length;
+    this.secReviewStat.textContent = ` ${reviewed}/${changed.length} reviewed`;
   }
 
   getParentOf(hash) {
@@ -1251,63 +1449,21 @@ class Comparator {
     return this.getJSON(`./history/${hash}/sections.json`);
   }
 
-  // Returns a string representation of section number+title that is comparable
-  // with comparison operator.
-  //
-  // `secId` is the id of the section's header element.
-  //
-  // Each section number component is replaced with single code unit with the
-  // number.
-  getComparableTitle(secId) {
-    const t = this.getSectionTitle(secId);
-    return t.replace(/([0-9]+)/g, matched => String.fromCharCode(matched));
-  }
-
-  // Returns section number + title for the section.
-  //
-  // `secId` is the id of the section's header element.
-  getSectionTitle(secId) {
-    if (secId in this.fromSecData.secData) {
-      const sec = this.fromSecData.secData[secId];
-      return `${sec.num} ${this.filterSecTitle(sec.title)}`;
-    }
-
-    if (secId in this.toSecData.secData) {
-      const sec = this.toSecData.secData[secId];
-      return `${sec.num} ${this.filterSecTitle(sec.title)}`;
-    }
-
-    return "";
-  }
-
-  filterSecTitle(title) {
-    const m = title.match(/^(#[^ ]+)+ +(.+)/);
-    if (!m) {
-      return title;
+  // Returns the mark shown in the section list for `stat` returned by
+  // `SectionsComparator#getSectionList`.
+  getStatMark(stat) {
+    switch (stat) {
+      case "mod":
+        return "-+";
+      case "move":
+        return "->";
+      case "del":
+        return "-\u00A0";
+      case "ins":
+        return "+\u00A0";
+      default:
+        return "  ";
     }
-    return `[${m[1]}] ${m[2]}`;
-  }
-
-  // Returns whether the section is changed, added, or removed between from/to
-  // revisions.
-  isChanged(secId) {
-    // This should be synced with SectionsComparator#is_changed in build.py
-    const fromHTML = this.fromSecData.secData[secId].html;
-    const toHTML = this.toSecData.secData[secId].html;
-
-    const fromHTMLFiltered = this.filterAttributeForComparison(fromHTML);
-    const toHTMLFiltered = this.filterAttributeForComparison(toHTML);
-
-    return fromHTMLFiltered !== toHTMLFiltered;
-  }
-
-  // Filter attributes that should be ignored when comparing 2 revisions.
-  filterAttributeForComparison(s) {
-    // This should be synced with
-    // SectionsComparator#filter_attribute_for_comparison in build.py
-
-    return s
-      .replace(/ (aoid|href)="[^"]+"/g, "");
   }
 
   updateURL(replace=false) {
@@ -1318,6 +1474,10 @@ class Comparator {
     const hash = this.revFilter.value;
     if (prnum !== "-") {
       params.push(`pr=${prnum}`);
+      if (this.isPRInterdiff()) {
+        params.push(`prFrom=${this.prFromRev.value}`);
+        params.push(`prTo=${this.prToRev.value}`);
+      }
       if (id !== "combined") {
         params.push(`id=${encodeURIComponent(id)}`);
       }
@@ -1389,17 +1549,33 @@ class Comparator {
     this.messageOverlay.classList.remove("shown");
     document.documentElement.classList.remove("help");
 
+    if (this.secList.value === "summary" || this.secList.value === "aos" ||
+        this.secList.value === "xrefs") {
+      const signal = await this.startProcessing();
+      if (signal) {
+        if (this.secList.value === "summary") {
+          this.showSummary();
+        } else if (this.secList.value === "aos") {
+          this.showAbstractOperations();
+        } else {
+          this.showXrefImpact();
+        }
+        this.finishProcessing(true);
+      }
+      return;
+    }
+
     const secList = [];
     if (this.secList.value === "combined") {
       this.result.classList.add("combined");
 
-      for (const { stat, id }  of this.secIdList) {
-        if (stat === "same") {
+      for (const { stat, id, hidden }  of this.secIdList) {
+        if (stat === "same" || hidden) {
           continue;
         }
 
-        const fromHTML = this.getSectionHTML(this.fromSecData, id);
-        const toHTML = this.getSectionHTML(this.toSecData, id);
+        const fromHTML = this.secComparator.getFromSectionHTML(id);
+        const toHTML = SectionsComparator.getSectionHTML(this.toSecData, id);
         secList.push([id, fromHTML, toHTML]);
       }
     } else if (this.secSubtree.checked) {
@@ -1415,8 +1591,8 @@ class Comparator {
       }
       this.result.classList.add("combined");
 
-      for (const { stat, id, fromNum, toNum } of this.secIdList) {
-        if (stat === "same") {
+      for (const { stat, id, fromNum, toNum, hidden } of this.secIdList) {
+        if (stat === "same" || hidden) {
           continue;
         }
 
@@ -1433,25 +1609,27 @@ class Comparator {
           }
         }
 
-        const fromHTML = this.getSectionHTML(this.fromSecData, id);
-        const toHTML = this.getSectionHTML(this.toSecData, id);
+        const fromHTML = this.secComparator.getFromSectionHTML(id);
+        const toHTML = SectionsComparator.getSectionHTML(this.toSecData, id);
         secList.push([id, fromHTML, toHTML]);
       }
     } else {
       this.result.classList.remove("combined");
       const id = this.secList.value;
 
-      const fromHTML = this.getSectionHTML(this.fromSecData, id);
-      const toHTML = this.getSectionHTML(this.toSecData, id);
+      const fromHTML = this.secComparator.getFromSectionHTML(id);
+      const toHTML = SectionsComparator.getSectionHTML(this.toSecData, id);
       secList.push([id, fromHTML, toHTML]);
     }
 
-    if (this.viewDiff.checked) {
+    if (this.viewDiff.checked || this.viewSplit.checked) {
       this.result.classList.add("diff-view");
 
-      this.viewFromTab.classList.remove("selected");
-      this.viewToTab.classList.remove("selected");
-      this.viewDiffTab.classList.add("selected");
+      if (this.viewSplit.checked) {
+        this.selectTab(this.viewSplitTab);
+      } else {
+        this.selectTab(this.viewDiffTab);
+      }
 
       const sections = new Map();
       let differ = false;
@@ -1462,31 +1640,39 @@ class Comparator {
         sections.set(id, [fromHTML, toHTML]);
       }
 
-      await this.combineSections(sections, "diff");
-
-      const ins = this.result.getElementsByClassName("htmldiff-ins").length;
-      const del = this.result.getElementsByClassName("htmldiff-del").length;
-
-      let note = "";
-      if (ins === 0 && del === 0 && differ) {
-        note = " (changes in markup or something)";
-      }
+      this.sectionsDiffer = differ;
 
-      if (ins === 0 && del === 0) {
-        this.scroller.style.display = "none";
+      const threeWay = this.isThreeWay();
+      const lazy = !threeWay && sections.size > LAZY_SECTIONS;
+      let completed;
+      if (threeWay) {
+        completed = await this.combineThreeWay(sections);
+      } else if (lazy) {
+        completed = await this.combineSectionsLazily(sections);
       } else {
-        this.scroller.style.display = "block";
+        completed = await this.combineSections(sections, "diff");
+      }
+      if (!completed) {
+        return;
       }
 
-      this.setStat(`+${ins} -${del}${note}`);
+      this.updateDiffStat();
+
+      if (threeWay) {
+        this.result.classList.add("split-view");
+      } else if (!this.viewSplit.checked) {
+        this.result.classList.remove("split-view");
+      } else if (!lazy) {
+        // Lazily diffed sections are split by `renderLazySection`.
+        this.splitResult();
+      }
     } else {
       this.scroller.style.display = "none";
       this.result.classList.remove("diff-view");
+      this.result.classList.remove("split-view");
 
       if (this.viewFrom.checked) {
-        this.viewFromTab.classList.add("selected");
-        this.viewToTab.classList.remove("selected");
-        this.viewDiffTab.classList.remove("selected");
+        this.selectTab(this.viewFromTab);
 
         const sections = new Map();
         for (const [id, fromHTML, _toHTML] of secList) {
@@ -1495,9 +1681,7 @@ class Comparator {
 
         await this.combineSections(sections, "from");
       } else if (this.viewTo.checked) {
-        this.viewFromTab.classList.remove("selected");
-        this.viewToTab.classList.add("selected");
-        this.viewDiffTab.classList.remove("selected");
+        this.selectTab(this.viewToTab);
 
         const sections = new Map();
         for (const [id, _fromHTML, toHTML] of secList) {
@@ -1513,259 +1697,1104 @@ class Comparator {
     }
   }
 
-  getSectionHTML(data, secId) {
-    if (data.secData && secId in data.secData) {
-      return data.secData[secId].html;
+  // Show the table of the number of changed words for each section, sorted
+  // by the size of the change.
+  showSummary() {
+    this.result.classList.remove("combined");
+    this.result.classList.remove("diff-view");
+    this.result.classList.remove("split-view");
+    this.scroller.style.display = "none";
+    this.result.textContent = "";
+
+    const items = this.secIdList
+      .filter(item => item.stat !== "same" && !item.hidden)
+      .sort((a, b) => (b.ins + b.del) - (a.ins + a.del));
+
+    const table = document.createElement("table");
+    table.id = "summary-table";
+
+    const addRow = (parent, cellName, cells) =>
+          this.addTableRow(parent, cellName, cells);
+
+    const thead = document.createElement("thead");
+    addRow(thead, "th", ["", "Section", "Inserted words (approx.)",
+                         "Removed words (approx.)", "Category"]);
+    table.appendChild(thead);
+
+    let totalIns = 0;
+    let totalDel = 0;
+    const tbody = document.createElement("tbody");
+    for (const item of items) {
+      totalIns += item.ins;
+      totalDel += item.del;
+
+      const link = document.createElement("a");
+      link.href = "#";
+      link.textContent = this.secComparator.getSectionTitle(item.id) || item.id;
+      link.addEventListener("click", event => {
+        event.preventDefault();
+        this.secList.value = item.id;
+        this.onSecListChange().catch(e => console.error(e));
+      });
+
+      const tr = addRow(tbody, "td", [
+        this.getStatMark(item.stat), link, `+${item.ins}`, `-${item.del}`,
+        item.categories.join(", "),
+      ]);
+      tr.classList.add(item.stat);
     }
-    return null;
+    table.appendChild(tbody);
+
+    const tfoot = document.createElement("tfoot");
+    addRow(tfoot, "td", ["", "Total", `+${totalIns}`, `-${totalDel}`, ""]);
+    table.appendChild(tfoot);
+
+    this.result.appendChild(table);
+
+    this.setStat(`${items.length} sections, about +${totalIns} -${totalDel} words`);
   }
 
-  async combineSections(sections, type) {
-    if (this.processing) {
-      this.abortProcessing = true;
-      do {
-        await sleep(100);
-      } while (this.processing);
-      this.abortProcessing = false;
-    }
+  // Show the table of abstract operations added, removed, renamed, or
+  // whose parameters are changed.
+  showAbstractOperations() {
+    this.result.classList.remove("combined");
+    this.result.classList.remove("diff-view");
+    this.result.classList.remove("split-view");
+    this.scroller.style.display = "none";
+    this.result.textContent = "";
+
+    const changes = this.secComparator.getAbstractOperationChanges();
+
+    const table = document.createElement("table");
+    table.id = "ao-table";
 
-    this.processing = true;
+    const thead = document.createElement("thead");
+    this.addTableRow(thead, "th", ["", "From", "To"]);
+    table.appendChild(thead);
 
-    let i = 0;
+    const typeNames = {
+      del: "removed",
+      ins: "added",
+      rename: "renamed",
+      signature: "parameters changed",
+    };
+
+    const tbody = document.createElement("tbody");
+    for (const change of changes) {
+      const from = change.fromName
+        ? this.createSectionLink(this.fromRev.value, change.fromId,
+                                 `${change.fromName} ( ${change.fromParams.join(", ")} )`)
+        : "";
+      const to = change.toName
+        ? this.createSectionLink(this.toRev.value, change.toId,
+                                 `${change.toName} ( ${change.toParams.join(", ")} )`)
+        : "";
+
+      const tr = this.addTableRow(tbody, "td", [typeNames[change.type], from, to]);
+      tr.classList.add(change.type);
+    }
+    table.appendChild(tbody);
+
+    this.result.appendChild(table);
 
-    const len = sections.size;
+    this.setStat(`${changes.length} abstract operations changed`);
+  }
 
+  // Show the list of sections that refer to each changed section, with
+  // whether they're also changed, so that the call sites that are not
+  // updated can be found.
+  showXrefImpact() {
+    this.result.classList.remove("combined");
+    this.result.classList.remove("diff-view");
+    this.result.classList.remove("split-view");
+    this.scroller.style.display = "none";
     this.result.textContent = "";
-    for (const [id, HTML] of sections) {
-      i++;
-      this.setStat(`generating sections... ${i}/${len}`);
-      if (this.abortProcessing) {
-        break;
+
+    const items = this.secIdList
+      .filter(item => item.stat !== "same" && !item.hidden);
+
+    const table = document.createElement("table");
+    table.id = "xref-table";
+
+    const createLink = id => {
+      const item = this.secIdList.find(item => item.id === id);
+      const rev = item && item.stat === "del"
+            ? this.fromRev.value
+            : this.toRev.value;
+      const title = this.secComparator.getSectionTitle(id) || id;
+      return this.createSectionLink(rev, id, title);
+    };
+
+    let referencedCount = 0;
+    let unchangedCount = 0;
+    const tbody = document.createElement("tbody");
+    for (const item of items) {
+      const referrers = this.secComparator.getReferrers(item.id);
+      if (referrers.length === 0) {
+        continue;
       }
+      referencedCount++;
 
-      let box;
-      if (type === "diff") {
-        const workBox = document.createElement("div");
-        this.workBoxContainer.appendChild(workBox);
+      const unchanged = referrers.filter(referrer => referrer.stat === "same");
+      unchangedCount += unchanged.length;
 
-        await this.createDiff(workBox, HTML[0], HTML[1]);
+      const header = this.addTableRow(tbody, "th", [
+        this.getStatMark(item.stat), createLink(item.id),
+        `referenced from ${referrers.length} sections, ${unchanged.length} not changed`,
+      ]);
+      header.classList.add("xref-target");
 
-        workBox.remove();
+      for (const referrer of referrers) {
+        const changed = referrer.stat !== "same";
+        const tr = this.addTableRow(tbody, "td", [
+          this.getStatMark(referrer.stat), createLink(referrer.id),
+          changed ? "changed" : "not changed",
+        ]);
+        tr.classList.add(changed ? "xref-changed" : "xref-unchanged");
+      }
+    }
+    table.appendChild(tbody);
 
-        box = document.getElementById(`excluded-${id}`);
-        if (box) {
-          const parentInsDel = this.findParentInsDel(box);
-          if (parentInsDel) {
-            this.splitUp(parentInsDel, box);
-          }
+    this.result.appendChild(table);
 
-          box.replaceWith(workBox);
-          box = workBox;
-        } else {
-          box = workBox;
-          this.result.appendChild(box);
-        }
+    this.setStat(`${referencedCount} changed sections are referenced, ${unchangedCount} references from unchanged sections`);
+  }
+
+  // Returns a link to the section in the revision.
+  //
+  // If the section is in the section list, the link selects it instead.
+  createSectionLink(rev, secId, text) {
+    const link = document.createElement("a");
+    link.href = `./history/${rev}/index.html#${secId}`;
+    link.textContent = text;
+
+    const listedId = rev === this.fromRev.value
+          ? this.getListedIdForFromId(secId)
+          : secId;
+    const listed = [...this.secList.options].some(opt => opt.value === listedId);
+    if (listed) {
+      link.addEventListener("click", event => {
+        event.preventDefault();
+        this.secList.value = listedId;
+        this.onSecListChange().catch(e => console.error(e));
+      });
+    }
+    return link;
+  }
+
+  // Returns the id in the section list for the id in "from" revision.
+  getListedIdForFromId(fromId) {
+    for (const item of this.secIdList) {
+      if (item.fromId === fromId) {
+        return item.id;
+      }
+    }
+    return fromId;
+  }
+
+  // Append a row with `cells` to `parent`, and return the row.
+  //
+  // Each cell is either a string or a node.
+  addTableRow(parent, cellName, cells) {
+    const tr = document.createElement("tr");
+    for (const cell of cells) {
+      const td = document.createElement(cellName);
+      if (typeof cell === "string") {
+        td.textContent = cell;
       } else {
-        box = document.getElementById(`excluded-${id}`);
-        if (box) {
-          box.id = "";
-          box.innerHTML = HTML;
-        } else {
-          box = document.createElement("div");
-          box.innerHTML = HTML;
-          this.result.appendChild(box);
+        td.appendChild(cell);
+      }
+      tr.appendChild(td);
+    }
+    parent.appendChild(tr);
+    return tr;
+  }
+
+  // Update the stat for the diff in the result.
+  updateDiffStat() {
+    const { ins, del, move, renumber } = DiffReport.getStat(this.result);
+
+    const pending = this.result.getElementsByClassName("section-placeholder").length;
+
+    let note = "";
+    if (ins === 0 && del === 0 && move === 0 && this.sectionsDiffer &&
+        pending === 0) {
+      note = " (changes in markup or something)";
+    }
+
+    if (ins === 0 && del === 0 && move === 0 && renumber === 0) {
+      this.scroller.style.display = "none";
+    } else {
+      this.scroller.style.display = "block";
+    }
+
+    let pendingNote = "";
+    if (pending > 0) {
+      pendingNote = ` (${pending} sections not yet diffed)`;
+    }
+
+    const moveStat = move > 0 ? ` ~${move}` : "";
+    const renumberNote = renumber > 0 ? ` (${renumber} renumbered)` : "";
+    const failedNote = this.getFailedSectionsNote();
+    this.setStat(`+${ins} -${del}${moveStat}${renumberNote}${note}${pendingNote}${failedNote}`);
+    this.updateDiffCacheStat().catch(e => console.error(e));
+  }
+
+  selectTab(selectedTab) {
+    for (const tab of [this.viewFromTab, this.viewToTab,
+                       this.viewDiffTab, this.viewSplitTab]) {
+      if (tab === selectedTab) {
+        tab.classList.add("selected");
+      } else {
+        tab.classList.remove("selected");
+      }
+    }
+  }
+
+  // Convert the unified diff in the result into 2 columns, where each row
+  // contains the same block in from and to revisions.
+  splitResult() {
+    this.result.classList.add("split-view");
+
+    const rows = [];
+    this.splitBlocks(this.result, rows);
+
+    this.result.textContent = "";
+    for (const row of rows) {
+      this.result.appendChild(row);
+    }
+  }
+
+  // Append the rows for the blocks inside `container` to `rows`.
+  //
+  // Sections and containers with changes are split into the child blocks,
+  // so that each row is short enough to be compared side by side.
+  splitBlocks(container, rows) {
+    for (const node of [...container.childNodes]) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        if (/^\s*$/.test(node.textContent)) {
+          continue;
         }
       }
-      let fixupResult = this.fixupExcluded(type, box);
-      this.fixupLink(type, box);
-      this.fixupImages(type, box);
-      if (sections.size > 1) {
-        this.addSingleSectionButtons(box);
+
+      if (node.nodeType === Node.ELEMENT_NODE &&
+          node.classList.contains("section-placeholder")) {
+        // Split when the section is diffed.
+        rows.push(node);
+        continue;
+      }
+
+      if (node.nodeType === Node.ELEMENT_NODE &&
+          this.isSplitContainer(node) &&
+          (node.getElementsByClassName("htmldiff-change").length > 0 ||
+           node.getElementsByClassName("section-placeholder").length > 0)) {
+        const header = Array.from(node.children).find(
+          child => child.nodeName.toLowerCase() === "h1");
+        if (header) {
+          rows.push(this.createSplitRow(header));
+          header.remove();
+        }
+        this.splitBlocks(node, rows);
+        continue;
       }
 
-      if (!fixupResult) {
-        await this.loadFullDiff();
-        this.createSecMap();
-        this.fixupExcluded(type, box);
+      if (node.nodeType !== Node.ELEMENT_NODE &&
+          node.nodeType !== Node.TEXT_NODE) {
+        continue;
       }
+
+      rows.push(this.createSplitRow(node));
     }
+  }
 
-    this.setStat("");
+  isSplitContainer(node) {
+    const name = node.nodeName.toLowerCase();
+    return name === "div" || name === "emu-clause" || name === "emu-annex" ||
+      name === "emu-intro";
+  }
+
+  // Create a row that contains from and to revisions of `node` in the diff.
+  createSplitRow(node) {
+    const row = document.createElement("div");
+    row.classList.add("split-row");
+
+    const fromBox = document.createElement("div");
+    fromBox.classList.add("split-from");
+    const toBox = document.createElement("div");
+    toBox.classList.add("split-to");
+
+    const fromNode = node.cloneNode(true);
+    const toNode = node;
+
+    this.filterSplitSide(fromNode, "from");
+    this.filterSplitSide(toNode, "to");
 
-    this.processing = false;
+    fromBox.appendChild(fromNode);
+    toBox.appendChild(toNode);
+
+    if (fromBox.getElementsByClassName("htmldiff-change").length > 0 ||
+        toBox.getElementsByClassName("htmldiff-change").length > 0) {
+      row.classList.add("split-changed");
+    }
+
+    row.appendChild(fromBox);
+    row.appendChild(toBox);
+    return row;
   }
 
-  async createDiff(box, fromHTML, toHTML) {
-    const workBoxFrom = document.createElement("div");
-    this.workBoxContainer.appendChild(workBoxFrom);
-    const workBoxTo = document.createElement("div");
-    this.workBoxContainer.appendChild(workBoxTo);
+  // Remove the content that doesn't exist in `type` revision, from `node`.
+  //
+  // `type` is either "from" or "to".
+  filterSplitSide(node, type) {
+    const isFrom = type === "from";
+    // Inserted or removed algorithm step is marked on the `li`, and the
+    // entire `li` doesn't exist in the other revision.
+    const removed = isFrom
+      ? ["htmldiff-ins", "htmldiff-move-to", "htmldiff-step-ins"]
+      : ["htmldiff-del", "htmldiff-move-from", "htmldiff-step-del"];
+
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return;
+    }
 
-    if (fromHTML !== null) {
-      workBoxFrom.innerHTML = fromHTML;
-      ListMarkUtils.textify(workBoxFrom);
-      this.removeExcludedContent(workBoxFrom);
+    if (removed.some(name => node.classList.contains(name))) {
+      node.textContent = "";
+      return;
     }
 
-    if (toHTML !== null) {
-      workBoxTo.innerHTML = toHTML;
-      ListMarkUtils.textify(workBoxTo);
-      this.removeExcludedContent(workBoxTo);
+    for (const name of removed) {
+      for (const child of [...node.getElementsByClassName(name)]) {
+        child.remove();
+      }
     }
 
-    if (!this.pathDiff.checked) {
-      await new HTMLTreeDiff().diff(box, workBoxFrom, workBoxTo);
-    } else {
-      fromHTML = workBoxFrom.innerHTML;
-      toHTML = workBoxTo.innerHTML;
+    if (isFrom) {
+      // Buttons are shown only in the "to" side, given the listeners are not
+      // cloned.
+      for (const buttons of [...node.getElementsByClassName("section-buttons")]) {
+        buttons.remove();
+      }
+
+      for (const renumber of node.getElementsByClassName("htmldiff-renumber")) {
+        renumber.textContent = renumber.getAttribute("data-from");
+      }
 
-      box.innerHTML = await HTMLPathDiff.diff(fromHTML, toHTML);
+      // The "to" side keeps the ids, for links.
+      const withId = [...node.querySelectorAll("[id]")];
+      if (node.id) {
+        withId.push(node);
+      }
+      for (const element of withId) {
+        if (!element.classList.contains("htmldiff-move-link")) {
+          element.removeAttribute("id");
+        }
+      }
     }
+  }
 
-    workBoxFrom.remove();
-    workBoxTo.remove();
+  // Returns true if the diff should be shown as the three-way view, that
+  // shows each PR's change against its base.
+  isThreeWay() {
+    return this.threeWay.checked && this.isComparingPRs() &&
+      this.fromBaseSecData !== null && this.toBaseSecData !== null;
   }
 
-  removeExcludedContent(box) {
-    for (const div of [...box.getElementsByTagName("div")]) {
-      if (div.id && div.id.startsWith("excluded-")) {
-        div.textContent = "";
-      }
+  // Abort the current `combineSections` or `combineThreeWay`, and wait for it
+  // to finish.
+  //
+  // Returns AbortSignal for new diff calculation, or null if another diff
+  // calculation is requested while waiting.
+  async startProcessing() {
+    const generation = ++this.processingGeneration;
+
+    this.stopLazyRendering();
+    if (this.processingController) {
+      this.processingController.abort();
     }
+    while (this.processingDone) {
+      await this.processingDone;
+    }
+
+    if (generation !== this.processingGeneration) {
+      return null;
+    }
+
+    this.processingController = new AbortController();
+    this.processingDone = new Promise(resolve => {
+      this.resolveProcessingDone = resolve;
+    });
+    this.failedSections = [];
+
+    return this.processingController.signal;
   }
 
-  findParentInsDel(node) {
-    while (node && node !== this.result) {
-      if (node.classList.contains("htmldiff-change")) {
-        return node;
-      }
-      node = node.parentNode;
+  // Finish the diff calculation started by `startProcessing`.
+  //
+  // If `completed` is false, the tasks that are started ahead of the
+  // consumer, such as `prefetch`, are cancelled.
+  finishProcessing(completed) {
+    if (!completed) {
+      this.processingController.abort();
     }
-    return null;
+    this.processingController = null;
+    this.processingDone = null;
+    this.resolveProcessingDone();
   }
 
-  splitUp(ancestor, node) {
-    while (node) {
-      const last = node.parentNode === ancestor;
+  // Replace the content of `box` with the error message for the section.
+  showSectionError(box, id, e) {
+    this.failedSections.push(id);
 
-      while (node.previousSibling &&
-             node.previousSibling.nodeType === Node.TEXT_NODE &&
-             /^\s*$/.test(node.previousSibling.textContent)) {
-        node.previousSibling.remove();
+    const title = this.secComparator.getSectionTitle(id) || id;
+
+    box.textContent = "";
+    const message = document.createElement("div");
+    message.classList.add("diff-error");
+    message.textContent = `Failed to generate diff for ${title}: ${e.message}`;
+    box.appendChild(message);
+  }
+
+  // Returns the note for the stat, about the failed sections.
+  getFailedSectionsNote() {
+    const n = this.failedSections.length;
+    if (n === 0) {
+      return "";
+    }
+    if (n === 1) {
+      return " (1 section failed)";
+    }
+    return ` (${n} sections failed)`;
+  }
+
+  // Show the diff of from and to revisions against their bases, in 2 columns.
+  //
+  // `sections` is a map from section id to the pair of from/to HTML.
+  //
+  // Returns false if aborted.
+  async combineThreeWay(sections) {
+    const signal = await this.startProcessing();
+    if (!signal) {
+      return false;
+    }
+
+    let completed = false;
+    try {
+      const fromComparator = new SectionsComparator(
+        this.fromBaseSecData, this.fromSecData);
+      const toComparator = new SectionsComparator(
+        this.toBaseSecData, this.toSecData);
+      fromComparator.setHideRenumbering(this.hideRenumbering.checked);
+      toComparator.setHideRenumbering(this.hideRenumbering.checked);
+
+      this.result.textContent = "";
+
+      const diffs = this.prRevisions.getThreeWayDiffs(
+        this.fromRev.value, this.toRev.value);
+
+      const header = document.createElement("div");
+      header.classList.add("split-row", "split-header");
+      for (const { type, base, rev } of diffs) {
+        const box = document.createElement("div");
+        box.classList.add(`split-${type}`);
+        box.textContent = `${rev} vs base (${base.slice(0, 8)})`;
+        header.appendChild(box);
+      }
+      this.result.appendChild(header);
+
+      const createBox = async (id, type) => {
+        const isFrom = type === "from";
+        const { base, rev } = diffs.find(diff => diff.type === type);
+        const baseSecData = isFrom ? this.fromBaseSecData : this.toBaseSecData;
+        const secData = isFrom ? this.fromSecData : this.toSecData;
+
+        const box = document.createElement("div");
+        box.classList.add(isFrom ? "split-from" : "split-to");
+        try {
+          await this.createCachedDiff(
+            box, base, rev, id,
+            SectionsComparator.getSectionHTML(baseSecData, id),
+            SectionsComparator.getSectionHTML(secData, id), signal,
+            "three-way");
+        } catch (e) {
+          if (isAbortError(e)) {
+            throw e;
+          }
+          this.showSectionError(box, id, e);
+          return box;
+        }
+
+        const comparator = isFrom ? fromComparator : toComparator;
+        comparator.fixupExcluded("diff", box);
+        this.fixupLink(type, box);
+        this.fixupImages(type, box);
+        return box;
+      };
+
+      const ids = Array.from(sections.keys());
+      const boxes = this.prefetch(ids, id => Promise.all([
+        createBox(id, "from"),
+        createBox(id, "to"),
+      ]));
+
+      let i = 0;
+      const len = ids.length;
+      for (const id of ids) {
+        i++;
+        this.setStat(`generating sections... ${i}/${len}`);
+
+        let fromBox, toBox;
+        try {
+          [fromBox, toBox] = await boxes.get(id);
+        } catch (e) {
+          if (!isAbortError(e)) {
+            console.error(e);
+          }
+          return false;
+        }
+        if (signal.aborted) {
+          return false;
+        }
+
+        const row = document.createElement("div");
+        row.classList.add("split-row");
+
+        if (fromBox.getElementsByClassName("htmldiff-change").length > 0 ||
+            toBox.getElementsByClassName("htmldiff-change").length > 0) {
+          row.classList.add("split-changed");
+        }
+
+        row.appendChild(fromBox);
+        row.appendChild(toBox);
+        this.result.appendChild(row);
       }
 
-      while (node.nextSibling &&
-             node.nextSibling.nodeType === Node.TEXT_NODE &&
-             /^\s*$/.test(node.nextSibling.textContent)) {
-        node.nextSibling.remove();
+      completed = !signal.aborted;
+    } finally {
+      this.setStat("");
+      this.finishProcessing(completed);
+    }
+    return completed;
+  }
+
+  // Call `callback` for each item in `items`, running some of them in
+  // parallel, ahead of the consumer.
+  //
+  // Returns an object with `get(item)` method that returns the promise for
+  // the item's result. `get` should be called in the order of `items`.
+  prefetch(items, callback) {
+    const AHEAD = DIFF_WORKERS * 2;
+
+    const promises = new Map();
+    let next = 0;
+    const start = () => {
+      while (next < items.length && promises.size < AHEAD) {
+        const item = items[next];
+        next++;
+        const promise = callback(item);
+        // Avoid unhandled rejection, for the case the consumer stops early.
+        promise.catch(() => {});
+        promises.set(item, promise);
       }
+    };
 
-      const parent = node.parentNode;
-      if (node === parent.firstChild) {
-        parent.before(node);
-      } else if (node === parent.firstChild) {
-        parent.after(node);
+    return {
+      get(item) {
+        start();
+        const promise = promises.get(item);
+        promises.delete(item);
+        start();
+        return promise;
+      },
+    };
+  }
+
+  // Show placeholders for the sections, and calculate the diff of each
+  // section when it's scrolled into view.
+  //
+  // This is used instead of `combineSections` for diff with many sections.
+  // Subsections are diffed separately, and shown inside the parent section
+  // once the parent section is diffed.
+  //
+  // `sections` is a map from section id to the pair of from/to HTML.
+  //
+  // Returns false if aborted.
+  async combineSectionsLazily(sections) {
+    const signal = await this.startProcessing();
+    if (!signal) {
+      return false;
+    }
+
+    let completed = false;
+    try {
+      // Section numbers in xrefs need all sections. Load them before diffing,
+      // so that the data isn't replaced while sections are diffed.
+      await this.loadFullDiffIfPartial();
+      if (signal.aborted) {
+        return false;
+      }
+
+      const controller = new AbortController();
+      this.lazyController = controller;
+      this.lazySections = sections;
+      this.lazyChildIds = this.getChildSectionIds(sections);
+
+      const nestedIds = new Set();
+      for (const childIds of this.lazyChildIds.values()) {
+        for (const childId of childIds) {
+          nestedIds.add(childId);
+        }
+      }
+
+      if (this.viewSplit.checked) {
+        this.result.classList.add("split-view");
       } else {
-        const clonedParent = parent.cloneNode(false);
-        parent.after(clonedParent);
-        while (node.nextSibling) {
-          clonedParent.appendChild(node.nextSibling);
+        this.result.classList.remove("split-view");
+      }
+
+      this.lazyObserver = new IntersectionObserver(entries => {
+        for (const entry of entries) {
+          if (!entry.isIntersecting) {
+            continue;
+          }
+
+          this.lazyObserver.unobserve(entry.target);
+          this.renderLazySection(entry.target, sections, controller.signal)
+            .catch(e => console.error(e));
         }
-        parent.after(node);
+      }, {
+        rootMargin: "1000px 0px",
+      });
+
+      this.result.textContent = "";
+      for (const id of sections.keys()) {
+        if (nestedIds.has(id)) {
+          continue;
+        }
+
+        const placeholder = this.createSectionPlaceholder(id);
+        this.result.appendChild(placeholder);
+        this.lazyObserver.observe(placeholder);
       }
 
-      if (last) {
+      completed = true;
+    } finally {
+      this.finishProcessing(completed);
+    }
+    return completed;
+  }
+
+  // Calculate the diff for all sections that are not yet diffed in
+  // `combineSectionsLazily`.
+  async renderPendingSections() {
+    if (!this.lazyController) {
+      return;
+    }
+
+    const signal = this.lazyController.signal;
+    const observer = this.lazyObserver;
+
+    // Diffing a section adds the placeholders for its subsections.
+    while (!signal.aborted) {
+      const placeholders = [
+        ...this.result.getElementsByClassName("section-placeholder"),
+      ];
+      if (placeholders.length === 0) {
         break;
       }
+
+      for (const placeholder of placeholders) {
+        observer.unobserve(placeholder);
+      }
+      await Promise.all(placeholders.map(
+        placeholder => this.renderLazySection(placeholder, this.lazySections,
+                                              signal)));
     }
   }
 
-  fixupExcluded(type, box) {
-    let result = true;
+  // Returns a map from the section id to the ids of the subsections in
+  // `sections`, that are excluded from the section's HTML.
+  //
+  // `sections` is a map from section id to the pair of from/to HTML.
+  getChildSectionIds(sections) {
+    const map = new Map();
+    const nestedIds = new Set();
+    for (const [id, HTMLs] of sections) {
+      const childIds = [];
+      for (const HTML of HTMLs) {
+        if (HTML === null) {
+          continue;
+        }
 
-    const fixup = (node, id) => {
-      if (type === "diff") {
-        if (id in this.toSecData.map &&
-            id in this.fromSecData.map &&
-            this.fromSecData.map[id] !== this.toSecData.map[id]) {
-          const del = document.createElement("del");
-          del.classList.add("htmldiff-del");
-          del.classList.add("htmldiff-change");
-          del.textContent = this.fromSecData.map[id];
-
-          const ins = document.createElement("ins");
-          ins.classList.add("htmldiff-ins");
-          ins.classList.add("htmldiff-change");
-          ins.textContent = this.toSecData.map[id];
-
-          node.textContent = "";
-          node.appendChild(del);
-          node.appendChild(ins);
-
-          return true;
+        const re = /\sid="excluded-([^"]+)"/g;
+        let m;
+        while ((m = re.exec(HTML)) !== null) {
+          const childId = m[1];
+          if (sections.has(childId) && childId !== id &&
+              !nestedIds.has(childId)) {
+            nestedIds.add(childId);
+            childIds.push(childId);
+          }
         }
+      }
+      map.set(id, childIds);
+    }
+    return map;
+  }
 
-        if (id in this.toSecData.map) {
-          node.textContent = this.toSecData.map[id];
-        } else if (id in this.fromSecData.map) {
-          node.textContent = this.fromSecData.map[id];
-        } else {
-          return false;
+  stopLazyRendering() {
+    if (this.lazyObserver) {
+      this.lazyObserver.disconnect();
+      this.lazyObserver = null;
+    }
+    if (this.lazyController) {
+      this.lazyController.abort();
+      this.lazyController = null;
+    }
+  }
+
+  // Create a placeholder for the section that is not yet diffed, with the
+  // section's title and status.
+  createSectionPlaceholder(id) {
+    const placeholder = document.createElement("div");
+    placeholder.classList.add("section-placeholder");
+    placeholder.setAttribute("data-section-id", id);
+
+    const item = this.secIdList.find(item => item.id === id);
+    const mark = this.getStatMark(item ? item.stat : "mod");
+
+    const title = document.createElement("span");
+    title.classList.add("section-placeholder-title");
+    title.textContent = `${mark} ${this.secComparator.getSectionTitle(id) || id}`;
+    placeholder.appendChild(title);
+
+    const status = document.createElement("span");
+    status.classList.add("section-placeholder-status");
+    status.textContent = "not yet diffed";
+    placeholder.appendChild(status);
+
+    return placeholder;
+  }
+
+  // Calculate the diff for the section, and replace the placeholder with it.
+  //
+  // Returns the same promise while the section is being diffed.
+  renderLazySection(placeholder, sections, signal) {
+    let promise = this.lazyRenders.get(placeholder);
+    if (!promise) {
+      promise = this.diffLazySection(placeholder, sections, signal);
+      this.lazyRenders.set(placeholder, promise);
+    }
+    return promise;
+  }
+
+  async diffLazySection(placeholder, sections, signal) {
+    const id = placeholder.getAttribute("data-section-id");
+    const [fromHTML, toHTML] = sections.get(id);
+
+    const status = placeholder.getElementsByClassName(
+      "section-placeholder-status")[0];
+    status.textContent = "diffing...";
+
+    const box = document.createElement("div");
+    this.workBoxContainer.appendChild(box);
+    try {
+      await this.createCachedDiff(box, this.fromRev.value, this.toRev.value,
+                                  id, fromHTML, toHTML, signal);
+    } catch (e) {
+      if (isAbortError(e)) {
+        return;
+      }
+      this.showSectionError(box, id, e);
+    } finally {
+      box.remove();
+    }
+
+    if (signal.aborted) {
+      return;
+    }
+
+    this.fixupExcluded("diff", box);
+    this.fixupLink("diff", box);
+    this.fixupImages("diff", box);
+    this.addSingleSectionButtons(box);
+    this.addReviewButtons(box);
+
+    // Put the placeholders for the subsections in the place of the excluded
+    // sections, in the same way as `combineSections`.
+    const childPlaceholders = [];
+    for (const childId of this.lazyChildIds.get(id) || []) {
+      const childPlaceholder = this.createSectionPlaceholder(childId);
+      const excluded = box.querySelector(`#excluded-${CSS.escape(childId)}`);
+      if (excluded) {
+        const parentInsDel = this.findParentInsDel(excluded);
+        if (parentInsDel) {
+          this.splitUp(parentInsDel, excluded);
         }
-        return true;
+        excluded.replaceWith(childPlaceholder);
+      } else {
+        box.appendChild(childPlaceholder);
+      }
+      childPlaceholders.push(childPlaceholder);
+    }
+
+    if (this.result.classList.contains("split-view")) {
+      const rows = [];
+      this.splitBlocks(box, rows);
+      placeholder.replaceWith(...rows);
+    } else {
+      placeholder.replaceWith(box);
+    }
+
+    if (this.lazyObserver) {
+      for (const childPlaceholder of childPlaceholders) {
+        this.lazyObserver.observe(childPlaceholder);
       }
+    }
 
-      if (type === "from") {
-        if (id in this.fromSecData.map) {
-          node.textContent = this.fromSecData.map[id];
-        } else {
+    this.updateDiffStat();
+  }
+
+  // Show the sections in the result.
+  //
+  // Returns false if aborted.
+  async combineSections(sections, type) {
+    const signal = await this.startProcessing();
+    if (!signal) {
+      return false;
+    }
+
+    let completed = false;
+    try {
+      let i = 0;
+
+      const len = sections.size;
+
+      // Diffs are calculated in parallel, and put into the result in order.
+      let workBoxes = null;
+      if (type === "diff") {
+        workBoxes = this.prefetch(Array.from(sections.keys()), async id => {
+          const workBox = document.createElement("div");
+          this.workBoxContainer.appendChild(workBox);
+
+          const HTML = sections.get(id);
+          try {
+            await this.createCachedDiff(workBox, this.fromRev.value,
+                                        this.toRev.value, id, HTML[0], HTML[1],
+                                        signal);
+          } catch (e) {
+            if (isAbortError(e)) {
+              throw e;
+            }
+            this.showSectionError(workBox, id, e);
+          } finally {
+            workBox.remove();
+          }
+
+          return workBox;
+        });
+      }
+
+      this.result.textContent = "";
+      for (const [id, HTML] of sections) {
+        i++;
+        this.setStat(`generating sections... ${i}/${len}`);
+        if (signal.aborted) {
           return false;
         }
-      } else {
-        if (id in this.toSecData.map) {
-          node.textContent = this.toSecData.map[id];
+
+        let box;
+        if (type === "diff") {
+          let workBox;
+          try {
+            workBox = await workBoxes.get(id);
+          } catch (e) {
+            if (!isAbortError(e)) {
+              console.error(e);
+            }
+            return false;
+          }
+          if (signal.aborted) {
+            return false;
+          }
+
+          box = document.getElementById(`excluded-${id}`);
+          if (box) {
+            const parentInsDel = this.findParentInsDel(box);
+            if (parentInsDel) {
+              this.splitUp(parentInsDel, box);
+            }
+
+            box.replaceWith(workBox);
+            box = workBox;
+          } else {
+            box = workBox;
+            this.result.appendChild(box);
+          }
         } else {
-          return false;
+          // Moved/renamed section is placed by the id in "from" revision.
+          const excludedId = type === "from"
+                ? this.secComparator.getFromId(id)
+                : id;
+          box = document.getElementById(`excluded-${excludedId}`);
+          if (box) {
+            box.id = "";
+            box.innerHTML = HTML;
+          } else {
+            box = document.createElement("div");
+            box.innerHTML = HTML;
+            this.result.appendChild(box);
+          }
+        }
+        let fixupResult = this.fixupExcluded(type, box);
+        this.fixupLink(type, box);
+        this.fixupImages(type, box);
+        if (sections.size > 1) {
+          this.addSingleSectionButtons(box);
+        }
+        if (type === "diff") {
+          this.addReviewButtons(box);
+        }
+
+        if (!fixupResult) {
+          await this.loadFullDiffIfPartial();
+          this.fixupExcluded(type, box);
         }
       }
 
-      return true;
+      completed = !signal.aborted;
+    } finally {
+      this.setStat("");
+      this.finishProcessing(completed);
+    }
+    return completed;
+  }
+
+  // Same as `createDiff`, but uses the diff cached for the section of from/to
+  // revisions, if any.
+  //
+  // `context` is the view that the diff is shown in, "diff" or "three-way".
+  async createCachedDiff(box, from, to, id, fromHTML, toHTML,
+                         signal = undefined, context = "diff") {
+    const key = this.diffCache.createKey(
+      from, to, id, `${context}:${this.getDiffMode()}`);
+    const html = await this.diffCache.get(key);
+    if (html !== null) {
+      box.innerHTML = html;
+    } else {
+      await this.createDiff(box, fromHTML, toHTML, signal);
+
+      this.diffCache.put(key, box.innerHTML).catch(e => console.error(e));
+    }
+
+    // The ids of the links between moved contents are unique only inside
+    // the diff.
+    this.diffCount++;
+    HTMLTreeDiff.prefixMoveIds(box, `${this.diffCount}`);
+  }
+
+  // Returns a string that represents the diff algorithm, the versions of the
+  // diff implementations, and the options that affect the result.
+  getDiffMode() {
+    const algorithm = this.pathDiff.checked ? "path" : "tree";
+
+    const options = Object.assign({
+      hideRenumbering: this.hideRenumbering.checked,
+    }, this.getTreeDiffOptions());
+    const enabled = Object.keys(options).filter(name => options[name]).sort();
+
+    return `${algorithm}-${PATH_DIFF_VERSION}-${TREE_DIFF_VERSION}:${enabled.join(",")}`;
+  }
+
+  // `signal` is an optional AbortSignal to cancel the diff.
+  async createDiff(box, fromHTML, toHTML, signal = undefined) {
+    const workBoxFrom = document.createElement("div");
+    this.workBoxContainer.appendChild(workBoxFrom);
+    const workBoxTo = document.createElement("div");
+    this.workBoxContainer.appendChild(workBoxTo);
+
+    if (fromHTML !== null) {
+      workBoxFrom.innerHTML = fromHTML;
+      HTMLTreeDiff.prepareForDiff(workBoxFrom);
+    }
+
+    if (toHTML !== null) {
+      workBoxTo.innerHTML = toHTML;
+      HTMLTreeDiff.prepareForDiff(workBoxTo);
+    }
+
+    try {
+      if (!this.pathDiff.checked) {
+        await new WorkerHTMLTreeDiff(this.getTreeDiffOptions(), signal)
+          .diff(box, workBoxFrom, workBoxTo);
+      } else {
+        fromHTML = workBoxFrom.innerHTML;
+        toHTML = workBoxTo.innerHTML;
+
+        box.innerHTML = await HTMLPathDiff.diff(fromHTML, toHTML, signal);
+      }
+    } finally {
+      workBoxFrom.remove();
+      workBoxTo.remove();
+    }
+  }
+
+  // Returns the options for `TreeDiff`.
+  getTreeDiffOptions() {
+    return {
+      algDiff: this.algDiff.checked,
+      charDiff: this.charDiff.checked,
     };
+  }
+
+  findParentInsDel(node) {
+    while (node && node !== this.result) {
+      if (node.classList.contains("htmldiff-change")) {
+        return node;
+      }
+      node = node.parentNode;
+    }
+    return null;
+  }
+
+  splitUp(ancestor, node) {
+    while (node) {
+      const last = node.parentNode === ancestor;
+
+      while (node.previousSibling &&
+             node.previousSibling.nodeType === Node.TEXT_NODE &&
+             /^\s*$/.test(node.previousSibling.textContent)) {
+        node.previousSibling.remove();
+      }
 
-    const nums = box.getElementsByClassName("excluded-secnum");
-    for (const node of [...nums]) {
-      const id = node.getAttribute("excluded-id");
-      if (fixup(node, id)) {
-        node.classList.remove("excluded-secnum");
-        node.removeAttribute("excluded-id");
-      } else {
-        result = false;
+      while (node.nextSibling &&
+             node.nextSibling.nodeType === Node.TEXT_NODE &&
+             /^\s*$/.test(node.nextSibling.textContent)) {
+        node.nextSibling.remove();
       }
-    }
 
-    const caps = box.getElementsByClassName("excluded-caption-num");
-    for (const node of [...caps]) {
-      const id = node.getAttribute("excluded-id");
-      if (fixup(node, id)) {
-        node.classList.remove("excluded-caption-num");
-        node.removeAttribute("excluded-id");
+      const parent = node.parentNode;
+      if (node === parent.firstChild) {
+        parent.before(node);
+      } else if (node === parent.firstChild) {
+        parent.after(node);
       } else {
-        result = false;
+        const clonedParent = parent.cloneNode(false);
+        parent.after(clonedParent);
+        while (node.nextSibling) {
+          clonedParent.appendChild(node.nextSibling);
+        }
+        parent.after(node);
       }
-    }
 
-    const refs = box.getElementsByClassName("excluded-xref");
-    for (const node of [...refs]) {
-      const id = node.getAttribute("excluded-id");
-      if (fixup(node, id)) {
-        node.classList.remove("excluded-xref");
-        node.removeAttribute("excluded-id");
-      } else {
-        result = false;
+      if (last) {
+        break;
       }
     }
+  }
 
-    return result;
+  fixupExcluded(type, box) {
+    this.secComparator.setHideRenumbering(this.hideRenumbering.checked);
+    return this.secComparator.fixupExcluded(type, box);
   }
 
   // Replace links into the same document to links into snapshot.
@@ -1782,6 +2811,10 @@ class Comparator {
       if (!href.startsWith("#")) {
         continue;
       }
+      if (link.classList.contains("htmldiff-move-link")) {
+        // Link between moved contents inside the diff.
+        continue;
+      }
       if (type === "from") {
         link.href = `${fromSnapshot}${href}`;
       } else if (type === "to") {
@@ -1860,6 +2893,8 @@ class Comparator {
         continue;
       }
 
+      const buttonBox = this.getSectionButtonBox(h1);
+
       const button = document.createElement("button");
       button.classList.add("single-section-button");
       button.classList.add("round-button");
@@ -1873,8 +2908,64 @@ class Comparator {
         this.onSecListChange().catch(e => console.error(e));
       });
 
-      h1.appendChild(button);
+      buttonBox.appendChild(button);
+    }
+  }
+
+  // Add buttons to mark changed sections in the box as reviewed.
+  addReviewButtons(box) {
+    const clauses = box.getElementsByTagName("emu-clause");
+    const annex = box.getElementsByTagName("emu-annex");
+    const sections = [...clauses, ...annex];
+
+    for (const section of sections) {
+      const id = section.id;
+      const item = this.secIdList.find(item => item.id === id);
+      if (!item || item.stat === "same") {
+        continue;
+      }
+
+      const h1s = section.getElementsByTagName("h1");
+      if (h1s.length === 0) {
+        continue;
+      }
+
+      const h1 = h1s[0];
+
+      if (h1.getElementsByClassName("review-button").length > 0) {
+        continue;
+      }
+
+      const button = document.createElement("button");
+      button.classList.add("review-button");
+      button.classList.add("round-button");
+      button.setAttribute("data-section-id", id);
+      this.updateReviewButton(button, item.reviewed);
+      button.addEventListener("click", () => {
+        this.setSectionReviewed(id, !item.reviewed);
+      });
+
+      this.getSectionButtonBox(h1).appendChild(button);
+    }
+  }
+
+  updateReviewButton(button, reviewed) {
+    button.textContent = reviewed ? "\u2713 reviewed" : "mark as reviewed";
+    button.classList.toggle("reviewed", reviewed);
+  }
+
+  // Returns the container for the buttons in the section header.
+  getSectionButtonBox(h1) {
+    for (const child of h1.children) {
+      if (child.classList.contains("section-buttons")) {
+        return child;
+      }
     }
+
+    const box = document.createElement("span");
+    box.classList.add("section-buttons");
+    h1.appendChild(box);
+    return box;
   }
 
   async onPRFilterChange() {
@@ -1883,6 +2974,14 @@ class Comparator {
     });
   }
 
+  async onPRRevChange() {
+    this.updateUI("pr", {
+      pr: this.prFilter.value,
+      prFrom: this.prFromRev.value,
+      prTo: this.prToRev.value,
+    });
+  }
+
   async onRevFilterChange() {
     this.updateUI("rev", {
       rev: this.revFilter.value,
@@ -1901,6 +3000,12 @@ class Comparator {
     });
   }
 
+  async onSecListControlChange() {
+    await this.populateSectionList();
+    this.updateURL();
+    await this.compare();
+  }
+
   async onSecListChange() {
     this.updateURL();
     await this.compare();
@@ -1914,6 +3019,253 @@ class Comparator {
     await this.compare();
   }
 
+  async onDiffOptionChange() {
+    await this.compare();
+  }
+
+  // Export the result as a standalone HTML file, with inlined styles,
+  // absolute links, and embedded images.
+  async onExportHTMLClick() {
+    if (this.result.childNodes.length === 0) {
+      return;
+    }
+
+    await this.renderPendingSections();
+
+    const from = this.fromRev.value;
+    const to = this.toRev.value;
+    const title = `ECMAScript spec diff: ${this.toShortRevName(from)} .. ${this.toShortRevName(to)}`;
+
+    const content = this.result.cloneNode(true);
+    for (const buttons of [...content.getElementsByClassName("section-buttons")]) {
+      buttons.remove();
+    }
+    this.makeLinksAbsolute(content);
+
+    const prevStat = this.diffStat.textContent;
+    this.setStat("exporting...");
+    await this.embedImages(content);
+
+    const doc = document.implementation.createHTMLDocument(title);
+
+    const meta = doc.createElement("meta");
+    meta.setAttribute("charset", "utf-8");
+    doc.head.prepend(meta);
+
+    const style = doc.createElement("style");
+    style.textContent = this.getInlineCSS();
+    doc.head.appendChild(style);
+
+    const header = doc.createElement("div");
+    header.id = "export-header";
+    const h = doc.createElement("h1");
+    h.textContent = title;
+    header.appendChild(h);
+    for (const [name, rev] of [["from", from], ["to", to]]) {
+      const line = doc.createElement("div");
+      const link = doc.createElement("a");
+      link.href = new URL(`./history/${rev}/index.html`, location.href).href;
+      link.textContent = rev;
+      line.append(`${name}: `, link);
+      header.appendChild(line);
+    }
+    const stat = doc.createElement("div");
+    stat.textContent = `${prevStat} (exported at ${DateUtils.toReadable(new Date())})`;
+    header.appendChild(stat);
+    doc.body.appendChild(header);
+
+    doc.body.appendChild(doc.importNode(content, true));
+
+    this.setStat(prevStat);
+
+    const html = `<!DOCTYPE html>\n${doc.documentElement.outerHTML}\n`;
+    const name = `ecma262-diff-${this.toShortRevName(from)}-${this.toShortRevName(to)}`
+      .replace(/[^\w.-]+/g, "_");
+    this.download(`${name}.html`, "text/html", html);
+  }
+
+  // Show the diff in the result as Markdown or plain text.
+  async onExportTextClick() {
+    if (this.result.childNodes.length === 0) {
+      return;
+    }
+    if (!this.result.classList.contains("diff-view") ||
+        this.result.classList.contains("split-view")) {
+      this.messageOverlay.classList.add("shown");
+      this.messageBox.textContent = "Markdown/text export is available only in the diff tab.";
+      return;
+    }
+
+    await this.renderPendingSections();
+
+    const formatter = new DiffTextFormatter(
+      this.textExportFormat.value,
+      id => this.secComparator.getSectionTitle(id));
+    this.textExportArea.value = formatter.format(this.result);
+    this.textExportBox.classList.add("shown");
+    this.textExportArea.select();
+  }
+
+  async onTextExportCopyClick() {
+    this.textExportArea.select();
+    await navigator.clipboard.writeText(this.textExportArea.value);
+  }
+
+  async onTextExportCloseClick() {
+    this.textExportBox.classList.remove("shown");
+  }
+
+  // Export the list of changed sections and the changes inside them as JSON.
+  //
+  // Changes inside sections are reported only for sections shown in the
+  // diff tab.
+  async onExportJSONClick() {
+    if (this.fromRev.value === this.toRev.value) {
+      return;
+    }
+
+    let diffBox = null;
+    if (this.result.classList.contains("diff-view") &&
+        !this.result.classList.contains("split-view")) {
+      await this.renderPendingSections();
+      diffBox = this.result;
+    }
+
+    const from = this.fromRev.value;
+    const to = this.toRev.value;
+    const report = new DiffReport(this.secComparator).create(from, to, diffBox);
+
+    const name = `ecma262-diff-${this.toShortRevName(from)}-${this.toShortRevName(to)}`
+      .replace(/[^\w.-]+/g, "_");
+    this.download(`${name}.json`, "application/json",
+                  JSON.stringify(report, null, 2) + "\n");
+  }
+
+  // Replace relative links and image sources in `box` with absolute URL,
+  // so that they work outside of this page.
+  // Links into the same document are kept.
+  makeLinksAbsolute(box) {
+    const attrs = [["a", "href"], ["img", "src"], ["object", "data"]];
+    for (const [name, attr] of attrs) {
+      for (const node of box.getElementsByTagName(name)) {
+        const value = node.getAttribute(attr);
+        if (!value || value.startsWith("#")) {
+          continue;
+        }
+        node.setAttribute(attr, new URL(value, location.href).href);
+      }
+    }
+  }
+
+  // Replace images and objects in `box` with data URL.
+  // Images that cannot be fetched are kept as is.
+  async embedImages(box) {
+    const attrs = [["img", "src"], ["object", "data"]];
+    for (const [name, attr] of attrs) {
+      for (const node of [...box.getElementsByTagName(name)]) {
+        const value = node.getAttribute(attr);
+        if (!value || value.startsWith("data:")) {
+          continue;
+        }
+
+        try {
+          const response = await fetch(value);
+          if (!response.ok) {
+            continue;
+          }
+          const blob = await response.blob();
+          node.setAttribute(attr, await this.blobToDataURL(blob));
+        } catch (e) {
+          console.error(e);
+        }
+      }
+    }
+  }
+
+  blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  // Returns the CSS text of all stylesheets in this page.
+  // Stylesheets that cannot be read, such as cross-origin, are skipped.
+  getInlineCSS() {
+    const rules = [];
+    for (const sheet of document.styleSheets) {
+      let cssRules;
+      try {
+        cssRules = sheet.cssRules;
+      } catch (e) {
+        continue;
+      }
+      for (const rule of cssRules) {
+        rules.push(rule.cssText);
+      }
+    }
+    return rules.join("\n");
+  }
+
+  // Let the user save `text` as a file.
+  download(filename, type, text) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async onDiffCacheClearClick() {
+    await this.diffCache.clear();
+    await this.updateDiffCacheStat();
+    if (this.diffCacheBox.classList.contains("shown")) {
+      await this.updateDiffCacheList();
+    }
+  }
+
+  async onDiffCacheDetailsClick() {
+    await this.updateDiffCacheList();
+    this.diffCacheBox.classList.add("shown");
+  }
+
+  async onDiffCacheCloseClick() {
+    this.diffCacheBox.classList.remove("shown");
+  }
+
+  // Show the pairs of from/to revisions in the cache.
+  async updateDiffCacheList() {
+    const pairs = await this.diffCache.getRevisionPairs();
+
+    this.diffCacheList.textContent = "";
+    for (const { from, to, count, size, date } of pairs) {
+      const row = document.createElement("tr");
+      for (const text of [this.toShortRevName(from), this.toShortRevName(to),
+                          `${count}`, `${Math.ceil(size / 1024)} KB`,
+                          DateUtils.toReadable(date)]) {
+        const cell = document.createElement("td");
+        cell.textContent = text;
+        row.appendChild(cell);
+      }
+      this.diffCacheList.appendChild(row);
+    }
+    if (pairs.length === 0) {
+      const row = document.createElement("tr");
+      const cell = document.createElement("td");
+      cell.colSpan = 5;
+      cell.textContent = "No cached diff";
+      row.appendChild(cell);
+      this.diffCacheList.appendChild(row);
+    }
+  }
+
   onScrollUpClick() {
     const rect = this.getFirstChangeRectAboveScreen();
     if (!rect) {
@@ -2010,6 +3362,199 @@ class Comparator {
     return result;
   }
 
+  // Handle keyboard shortcuts, listed in `KEYBOARD_SHORTCUTS`.
+  async onKeyDown(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) {
+      return;
+    }
+    const target = event.target;
+    if (target instanceof HTMLInputElement ||
+        target instanceof HTMLSelectElement ||
+        target instanceof HTMLTextAreaElement) {
+      if (event.key === "Escape") {
+        target.blur();
+      }
+      return;
+    }
+
+    switch (event.key) {
+      case "j":
+      case "n":
+        this.selectChange(1);
+        break;
+      case "k":
+      case "p":
+        this.selectChange(-1);
+        break;
+      case "J":
+      case "]":
+        await this.selectSection(1);
+        break;
+      case "K":
+      case "[":
+        await this.selectSection(-1);
+        break;
+      case "d":
+        await this.selectView(this.viewDiff);
+        break;
+      case "s":
+        await this.selectView(this.viewSplit);
+        break;
+      case "f":
+        await this.selectView(this.viewFrom);
+        break;
+      case "t":
+        await this.selectView(this.viewTo);
+        break;
+      case "/":
+        this.secSearchField.focus();
+        break;
+      case "?":
+        this.showKeyboardShortcuts();
+        break;
+      case "Escape":
+        this.setCurrentChange(null);
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  }
+
+  // Returns the list of visible changes in the result, excluding changes
+  // nested inside other changes.
+  getNavigableChanges() {
+    return [...this.result.getElementsByClassName("htmldiff-change")]
+      .filter(change => change.getClientRects().length > 0 &&
+              !change.parentElement.closest(".htmldiff-change"));
+  }
+
+  // Select the next change if `direction` is 1, or the previous change if -1,
+  // relative to the current change, or to the screen if there's no current
+  // change.
+  selectChange(direction) {
+    const changes = this.getNavigableChanges();
+    if (changes.length === 0) {
+      return;
+    }
+
+    let index = this.currentChange ? changes.indexOf(this.currentChange) : -1;
+    if (index === -1) {
+      // Start from the first change below the top of the screen.
+      index = changes.findIndex(
+        change => change.getBoundingClientRect().top >= 0);
+      if (index === -1) {
+        index = changes.length;
+      }
+      if (direction === 1) {
+        index--;
+      }
+    }
+
+    const next = changes[index + direction];
+    if (!next) {
+      return;
+    }
+
+    this.setCurrentChange(next);
+    next.scrollIntoView({ behavior: "smooth", block: "center" });
+    this.highlightChanges([next]);
+  }
+
+  setCurrentChange(change) {
+    if (this.currentChange) {
+      this.currentChange.classList.remove("htmldiff-current");
+    }
+    this.currentChange = change;
+    if (change) {
+      change.classList.add("htmldiff-current");
+    }
+  }
+
+  // Move to the next changed section if `direction` is 1, or the previous
+  // changed section if -1.
+  //
+  // In combined view, this scrolls to the section. Otherwise this selects
+  // the section in the section list.
+  async selectSection(direction) {
+    if (!this.result.classList.contains("combined")) {
+      const options = [...this.secList.options]
+        .filter(opt => opt.value in this.toSecData.secData ||
+                opt.value in this.fromSecData.secData);
+      const index = options.findIndex(opt => opt.value === this.secList.value);
+      const next = options[index === -1 && direction === -1
+                           ? options.length - 1
+                           : index + direction];
+      if (!next) {
+        return;
+      }
+
+      this.secList.value = next.value;
+      await this.onSecListChange();
+      return;
+    }
+
+    const sections = this.getChangedSectionElements()
+          .map(({ section }) => section);
+
+    // Allow some error for the section just scrolled into.
+    const tops = sections.map(section => section.getBoundingClientRect().top);
+    let next;
+    if (direction === 1) {
+      next = sections.find((section, i) => tops[i] > 1);
+    } else {
+      next = sections.filter((section, i) => tops[i] < -1).pop();
+    }
+    if (!next) {
+      return;
+    }
+
+    this.setCurrentChange(null);
+    next.scrollIntoView({ behavior: "smooth", block: "start" });
+  }
+
+  // Returns the list of `{ id, section }` for changed sections in the result,
+  // where `section` is the section's element or its placeholder.
+  getChangedSectionElements() {
+    const sections = [];
+    for (const { id, stat, hidden } of this.secIdList) {
+      if (stat === "same" || hidden) {
+        continue;
+      }
+      const section = document.getElementById(id) ||
+            this.result.querySelector(`.section-placeholder[data-section-id="${CSS.escape(id)}"]`);
+      if (section && this.result.contains(section)) {
+        sections.push({ id, section });
+      }
+    }
+    return sections;
+  }
+
+  async selectView(radio) {
+    // The page may not have all tabs.
+    if (!radio || radio.checked) {
+      return;
+    }
+    radio.checked = true;
+    await this.onTabChange();
+  }
+
+  showKeyboardShortcuts() {
+    this.messageBox.textContent = "";
+    const list = document.createElement("dl");
+    list.id = "keyboard-shortcuts";
+    for (const [keys, description] of KEYBOARD_SHORTCUTS) {
+      const dt = document.createElement("dt");
+      dt.textContent = keys;
+      const dd = document.createElement("dd");
+      dd.textContent = description;
+      list.appendChild(dt);
+      list.appendChild(dd);
+    }
+    this.messageBox.appendChild(list);
+    this.messageOverlay.classList.add("shown");
+  }
+
   highlightChanges(changes) {
     for (const change of changes) {
       change.classList.add("htmldiff-highllight");
@@ -2141,6 +3686,11 @@ function onPRFilterChange() {
   comparator.onPRFilterChange().catch(e => console.error(e));
 }
 
+/* exported onPRRevChange */
+function onPRRevChange() {
+  comparator.onPRRevChange().catch(e => console.error(e));
+}
+
 /* exported onRevFilterChange */
 function onRevFilterChange() {
   comparator.onRevFilterChange().catch(e => console.error(e));
@@ -2171,6 +3721,11 @@ function onPathDiffChange() {
   comparator.onPathDiffChange().catch(e => console.error(e));
 }
 
+/* exported onDiffOptionChange */
+function onDiffOptionChange() {
+  comparator.onDiffOptionChange().catch(e => console.error(e));
+}
+
 /* exported onScrollUpClick */
 function onScrollUpClick() {
   comparator.onScrollUpClick();
@@ -2181,6 +3736,11 @@ function onScrollDownClick() {
   comparator.onScrollDownClick();
 }
 
+/* exported onMinimapClick */
+function onMinimapClick(event) {
+  comparator.onMinimapClick(event);
+}
+
 /* exported onSearchKeyDown */
 function onSearchKeyDown(e) {
   comparator.onSearchKeyDown(e).catch(e => console.error(e));
@@ -2222,6 +3782,64 @@ function onSecSubTreeChange() {
   comparator.onSecSubTreeChange().catch(e => console.error(e));
 }
 
+/* exported onSecListControlChange */
+function onSecListControlChange() {
+  comparator.onSecListControlChange().catch(e => console.error(e));
+}
+
+/* exported onDiffCacheClearClick */
+function onDiffCacheClearClick() {
+  comparator.onDiffCacheClearClick().catch(e => console.error(e));
+}
+
+/* exported onDiffCacheDetailsClick */
+function onDiffCacheDetailsClick() {
+  comparator.onDiffCacheDetailsClick().catch(e => console.error(e));
+}
+
+/* exported onDiffCacheCloseClick */
+function onDiffCacheCloseClick() {
+  comparator.onDiffCacheCloseClick().catch(e => console.error(e));
+}
+
+/* exported onExportHTMLClick */
+function onExportHTMLClick() {
+  comparator.onExportHTMLClick().catch(e => console.error(e));
+}
+
+/* exported onExportJSONClick */
+function onExportJSONClick() {
+  comparator.onExportJSONClick().catch(e => console.error(e));
+}
+
+/* exported onExportTextClick */
+function onExportTextClick() {
+  comparator.onExportTextClick().catch(e => console.error(e));
+}
+
+/* exported onTextExportCopyClick */
+function onTextExportCopyClick() {
+  comparator.onTextExportCopyClick().catch(e => console.error(e));
+}
+
+/* exported onTextExportCloseClick */
+function onTextExportCloseClick() {
+  comparator.onTextExportCloseClick().catch(e => console.error(e));
+}
+
 window.addEventListener("popstate", () => {
   comparator.onPopState().catch(e => console.error(e));
 });
+
+// Keys and scroll can come before the page is loaded.
+document.addEventListener("keydown", event => {
+  if (comparator) {
+    comparator.onKeyDown(event).catch(e => console.error(e));
+  }
+});
+
+window.addEventListener("scroll", () => {
+  if (comparator) {
+    comparator.updateMinimapViewport();
+  }
+}, { passive: true });
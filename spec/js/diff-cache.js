@@ -0,0 +1,186 @@
+"use strict";
+
+// Cache of the diff result for each section, stored in IndexedDB.
+//
+// All methods fail silently, and the cache is just disabled if IndexedDB is
+// not available.
+//
+// This doesn't depend on browser window, so that it can be tested in Node
+// with another IndexedDB implementation.
+class DiffCache {
+  // `factory` is the IDBFactory, which is `indexedDB` in browser.
+  constructor(factory = typeof indexedDB === "undefined" ? null : indexedDB) {
+    this.factory = factory;
+
+    this.DB_NAME = "ecma262-compare-diff";
+    this.STORE_NAME = "diffs";
+    this.MAX_ENTRIES = 5000;
+
+    this.dbPromise = null;
+
+    // The number of entries, or null if not yet counted.
+    // This is updated by each write instead of counting all entries, and can
+    // be stale if the cache is also updated by another page.
+    this.entryCount = null;
+  }
+
+  async getDB() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise(resolve => {
+        if (!this.factory) {
+          resolve(null);
+          return;
+        }
+
+        const request = this.factory.open(this.DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(this.STORE_NAME, {
+            keyPath: "key",
+          });
+          store.createIndex("date", "date");
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(null);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Run `callback` with the object store, and returns the result of the
+  // request returned by `callback`, or `undefined` if failed.
+  async withStore(mode, callback) {
+    const db = await this.getDB();
+    if (!db) {
+      return undefined;
+    }
+
+    return new Promise(resolve => {
+      try {
+        const tx = db.transaction(this.STORE_NAME, mode);
+        const request = callback(tx.objectStore(this.STORE_NAME));
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => resolve(undefined);
+        tx.onabort = () => resolve(undefined);
+      } catch (e) {
+        resolve(undefined);
+      }
+    });
+  }
+
+  createKey(from, to, id, mode) {
+    return `${from}|${to}|${id}|${mode}`;
+  }
+
+  // Returns the cached HTML for the key, or null if not cached.
+  async get(key) {
+    const entry = await this.withStore("readonly", store => store.get(key));
+    if (!entry) {
+      return null;
+    }
+    return entry.html;
+  }
+
+  async put(key, html) {
+    await this.count();
+
+    const existing = await this.withStore("readwrite", store => {
+      const request = store.count(key);
+      store.put({
+        date: Date.now(),
+        html,
+        key,
+      });
+      return request;
+    });
+    if (existing === undefined) {
+      return;
+    }
+
+    if (existing === 0 && this.entryCount !== null) {
+      this.entryCount++;
+    }
+    if (this.entryCount > this.MAX_ENTRIES) {
+      await this.removeOldest(this.entryCount - this.MAX_ENTRIES);
+    }
+  }
+
+  async removeOldest(n) {
+    let removed = 0;
+    await this.withStore("readwrite", store => {
+      const request = store.index("date").openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor && removed < n) {
+          removed++;
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+      return null;
+    });
+    this.entryCount -= removed;
+  }
+
+  // Returns the number of cached entries.
+  //
+  // All entries are counted only for the first time.
+  async count() {
+    if (this.entryCount === null) {
+      const count = await this.withStore("readonly", store => store.count());
+      if (count === undefined) {
+        return 0;
+      }
+      this.entryCount = count;
+    }
+    return this.entryCount;
+  }
+
+  // Returns the list of the pairs of from/to revisions in the cache, with the
+  // most recently cached one first.
+  //
+  // Each item has the following properties:
+  //   from  - the name of "from" revision
+  //   to    - the name of "to" revision
+  //   count - the number of cached entries for the pair, for each section,
+  //           view, and diff mode
+  //   size  - the total length of the cached HTML for the pair
+  //   date  - the time when the last entry for the pair is cached
+  async getRevisionPairs() {
+    const pairs = new Map();
+    await this.withStore("readonly", store => {
+      const request = store.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          return;
+        }
+
+        const { date, html, key } = cursor.value;
+        const [from, to] = key.split("|");
+        const pairKey = `${from}|${to}`;
+        if (!pairs.has(pairKey)) {
+          pairs.set(pairKey, { from, to, count: 0, size: 0, date: 0 });
+        }
+        const pair = pairs.get(pairKey);
+        pair.count++;
+        pair.size += html.length;
+        pair.date = Math.max(pair.date, date);
+        cursor.continue();
+      };
+      return null;
+    });
+    return Array.from(pairs.values()).sort((a, b) => b.date - a.date);
+  }
+
+  async clear() {
+    await this.withStore("readwrite", store => store.clear());
+    this.entryCount = null;
+  }
+}
+
+/* exported DiffCache */
+if (typeof module !== "undefined") {
+  module.exports = {
+    DiffCache,
+  };
+}
@@ -0,0 +1,247 @@
+"use strict";
+
+// Create a machine-readable report of the comparison between 2 revisions,
+// from the section list of `SectionsComparator` and the diff created by
+// `HTMLTreeDiff`.
+//
+// This is shared between the comparator page and Node scripts, and doesn't
+// depend on browser window.
+
+// `Node` is not available in Node.
+const DiffReportNodeType = {
+  ELEMENT_NODE: 1,
+  TEXT_NODE: 3,
+};
+
+class DiffReport {
+  // `secComparator` is the `SectionsComparator` for from/to revisions.
+  constructor(secComparator) {
+    this.secComparator = secComparator;
+  }
+
+  // Returns the report object.
+  //
+  // `from` and `to` are the names of from/to revisions.
+  // `diffBox` is an element that contains the diff for modified sections,
+  // or null if the changes inside sections aren't reported.
+  //
+  // The report has the following properties:
+  //   from     - the name of "from" revision
+  //   to       - the name of "to" revision
+  //   sections - the list of added, removed, or modified sections, in the
+  //              section order, each with the following properties:
+  //     id        - the id of the section's header element
+  //     stat      - "mod", "move", "del", or "ins"
+  //     fromId    - the id of the section in "from" revision, which differs
+  //                 from `id` for moved/renamed section, or "" if added
+  //     fromNum   - the section number in "from" revision, or "" if added
+  //     toNum     - the section number in "to" revision, or "" if removed
+  //     fromTitle - the section title in "from" revision, or "" if added
+  //     toTitle   - the section title in "to" revision, or "" if removed
+  //     ins       - the approximate number of inserted words, returned by
+  //                 `SectionsComparator#getWordStat`
+  //     del       - the approximate number of removed words
+  //     categories - the heuristic categories of the change, returned by
+  //                  `SectionsComparator#getChangeCategories`
+  //     referencedBy - the list of sections that refer to the section,
+  //                    returned by `SectionsComparator#getReferrers`
+  //     changes   - the list of changes inside the section, each with
+  //                 `type`, `text`, and `path` (the list of enclosing
+  //                 elements as "name" or "name#id"), only for modified or
+  //                 moved/renamed sections contained in `diffBox`
+  //   abstractOperations - the list of changes to abstract operations,
+  //                        returned by
+  //                        `SectionsComparator#getAbstractOperationChanges`
+  create(from, to, diffBox = null) {
+    const changesMap = diffBox ? this.getChangesForSections(diffBox) : null;
+
+    const sections = [];
+    for (const { id, stat, fromId, fromNum, toNum } of this.secComparator.getSectionList()) {
+      if (stat === "same") {
+        continue;
+      }
+
+      const { del, ins } = this.secComparator.getWordStat(id);
+      const section = {
+        id,
+        stat,
+        fromId,
+        fromNum,
+        toNum,
+        fromTitle: this.getTitle(this.secComparator.fromSecData, fromId),
+        toTitle: this.getTitle(this.secComparator.toSecData, id),
+        ins,
+        del,
+        categories: this.secComparator.getChangeCategories(id),
+        referencedBy: this.secComparator.getReferrers(id),
+      };
+      if (changesMap && (stat === "mod" || stat === "move") &&
+          changesMap.has(id)) {
+        section.changes = changesMap.get(id);
+      }
+      sections.push(section);
+    }
+
+    return {
+      from,
+      to,
+      sections,
+      abstractOperations: this.secComparator.getAbstractOperationChanges(),
+    };
+  }
+
+  // Returns the plain-text title of the section in the revision, without
+  // the section number.
+  getTitle(secData, secId) {
+    if (!(secId in secData.secData)) {
+      return "";
+    }
+    const title = this.secComparator.filterSecTitle(secData.secData[secId].title);
+    return title.replace(/<[^>]*>/g, "");
+  }
+
+  // Returns a map from section id to the list of changes inside the section,
+  // for each section contained in `box`.
+  //
+  // Changes inside subsections are associated with the innermost section.
+  getChangesForSections(box) {
+    const map = new Map();
+    for (const name of ["emu-clause", "emu-annex", "emu-intro"]) {
+      for (const node of box.getElementsByTagName(name)) {
+        if (node.id) {
+          map.set(node.id, []);
+        }
+      }
+    }
+
+    for (const change of DiffReport.getChanges(box)) {
+      let secId = null;
+      for (let i = change.path.length - 1; i >= 0; i--) {
+        const id = change.path[i].id;
+        if (id && (id in this.secComparator.fromSecData.secData ||
+                   id in this.secComparator.toSecData.secData)) {
+          secId = id;
+          break;
+        }
+      }
+      if (secId === null || !map.has(secId)) {
+        continue;
+      }
+
+      map.get(secId).push({
+        type: change.type,
+        text: change.text,
+        path: change.path.map(DiffReport.pathItemToString),
+      });
+    }
+    return map;
+  }
+
+  // Returns the list of changed text spans in `box`, in the document order.
+  //
+  // Each item has the following properties:
+  //   type - "ins" or "del"
+  //   text - the text content of the span, with whitespaces collapsed
+  //   path - the list of enclosing elements from `box`, as `{ name, id }`
+  //
+  // Moved content is reported as removed from the original position and
+  // inserted to the new position.
+  static getChanges(box) {
+    const changes = [];
+
+    const getType = node => {
+      const classList = node.classList;
+      if (classList.contains("htmldiff-ins") ||
+          classList.contains("htmldiff-move-to")) {
+        return "ins";
+      }
+      if (classList.contains("htmldiff-del") ||
+          classList.contains("htmldiff-move-from")) {
+        return "del";
+      }
+      return null;
+    };
+
+    // The link between moved content is not part of the content.
+    const getText = node => {
+      let text = "";
+      for (const child of node.childNodes) {
+        if (child.nodeType === DiffReportNodeType.TEXT_NODE) {
+          text += child.textContent;
+        } else if (child.nodeType === DiffReportNodeType.ELEMENT_NODE &&
+                   !child.classList.contains("htmldiff-move-link")) {
+          text += getText(child);
+        }
+      }
+      return text;
+    };
+
+    const walk = (node, path) => {
+      for (const child of node.childNodes) {
+        if (child.nodeType !== DiffReportNodeType.ELEMENT_NODE) {
+          continue;
+        }
+
+        const type = getType(child);
+        if (type) {
+          const text = getText(child).replace(/\s+/g, " ").trim();
+          if (text) {
+            changes.push({ type, text, path });
+          }
+          continue;
+        }
+
+        if (child.classList.contains("htmldiff-move-link") ||
+            child.classList.contains("section-buttons")) {
+          continue;
+        }
+
+        const name = child.nodeName.toLowerCase();
+        walk(child, path.concat([{ name, id: child.id || "" }]));
+      }
+    };
+    walk(box, []);
+
+    return changes;
+  }
+
+  // Returns the number of changes in `box`, as `{ ins, del, move, renumber }`.
+  //
+  // The change of section number etc is counted separately as `renumber`,
+  // given it's not a change in the section itself.
+  // Each renumbering is either a pair of `del` and `ins`, or a single
+  // element with the old number in the title if renumbering is hidden.
+  // See `SectionsComparator#setHideRenumbering`.
+  static getStat(box) {
+    const countNumberChange = nodes => {
+      return [...nodes].filter(
+        node => node.classList.contains("htmldiff-number-change")).length;
+    };
+
+    const insNodes = box.getElementsByClassName("htmldiff-ins");
+    const delNodes = box.getElementsByClassName("htmldiff-del");
+    const renumberIns = countNumberChange(insNodes);
+    const renumberDel = countNumberChange(delNodes);
+    const renumberHidden = box.getElementsByClassName("htmldiff-number-hidden").length;
+
+    return {
+      ins: insNodes.length - renumberIns,
+      del: delNodes.length - renumberDel,
+      move: box.getElementsByClassName("htmldiff-move-to").length,
+      renumber: Math.max(renumberIns, renumberDel) + renumberHidden,
+    };
+  }
+
+  // Returns a string representation of the path item, such as
+  // "emu-clause#sec-foo" or "li".
+  static pathItemToString({ name, id }) {
+    return id ? `${name}#${id}` : name;
+  }
+}
+
+/* exported DiffReport */
+if (typeof module !== "undefined") {
+  module.exports = {
+    DiffReport,
+  };
+}
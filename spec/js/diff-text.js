@@ -0,0 +1,370 @@
+"use strict";
+
+// Convert the diff created by `HTMLTreeDiff` into Markdown or plain text,
+// to paste into issue comments or notes.
+//
+// This is shared between the comparator page and Node scripts, and doesn't
+// depend on browser window.
+
+// `Node` is not available in Node.
+const DiffTextNodeType = {
+  ELEMENT_NODE: 1,
+  TEXT_NODE: 3,
+};
+
+class DiffTextFormatter {
+  // `format` is either "markdown" or "text".
+  //
+  // `getSectionTitle` is a function that returns the section number and title
+  // for the section id, such as `SectionsComparator#getSectionTitle`.
+  constructor(format, getSectionTitle) {
+    this.markdown = format === "markdown";
+    this.getSectionTitle = getSectionTitle;
+
+    this.blockNodes = new Set([
+      "div", "p", "pre", "blockquote", "figure", "figcaption",
+      "h1", "h2", "h3",
+      "dl", "dt", "dd",
+      "emu-clause", "emu-annex", "emu-intro", "emu-alg", "emu-note",
+      "emu-example", "emu-table", "emu-figure", "emu-grammar",
+      "emu-production", "emu-rhs", "emu-import", "emu-eqn",
+      "ol", "ul", "li",
+      "table", "thead", "tbody", "tfoot", "tr", "th", "td",
+    ]);
+
+    this.lines = [];
+    this.current = "";
+    this.prefix = "";
+    this.change = null;
+    this.listDepth = 0;
+    this.listPrefix = "";
+  }
+
+  // Returns the text for the diff inside `box`.
+  format(box) {
+    this.lines = [];
+    this.current = "";
+    this.prefix = "";
+    this.change = null;
+    this.listDepth = 0;
+
+    this.formatChildren(box);
+    this.flush();
+
+    return this.lines.join("\n").replace(/\n{3,}/g, "\n\n").trim() + "\n";
+  }
+
+  formatChildren(node) {
+    for (const child of node.childNodes) {
+      this.formatNode(child);
+    }
+  }
+
+  formatNode(node) {
+    if (node.nodeType === DiffTextNodeType.TEXT_NODE) {
+      this.current += this.escape(node.textContent);
+      return;
+    }
+    if (node.nodeType !== DiffTextNodeType.ELEMENT_NODE) {
+      return;
+    }
+
+    const name = node.nodeName.toLowerCase();
+    if (name === "button" || name === "script" || name === "style" ||
+        node.classList.contains("htmldiff-move-link") ||
+        node.classList.contains("section-placeholder")) {
+      return;
+    }
+
+    const change = this.getChange(node);
+    if (change && !this.change) {
+      if (!this.containsBlock(node) && !this.blockNodes.has(name)) {
+        this.current += this.wrap(this.formatInline(node), change);
+        return;
+      }
+
+      this.change = change;
+      this.formatElement(node, name);
+      this.change = null;
+      return;
+    }
+
+    this.formatElement(node, name);
+  }
+
+  formatElement(node, name) {
+    switch (name) {
+      case "emu-clause":
+      case "emu-annex":
+      case "emu-intro": {
+        this.blank();
+        // The title can contain markup, such as `<var>`.
+        const title = node.id
+              ? this.getSectionTitle(node.id).replace(/<[^>]*>/g, "")
+              : "";
+        if (title) {
+          if (this.markdown) {
+            this.lines.push(`### ${this.escape(title)}`);
+          } else {
+            this.lines.push(title);
+            this.lines.push("-".repeat(title.length));
+          }
+          this.lines.push("");
+        }
+        for (const child of node.childNodes) {
+          // The title is shown above, unless it's modified.
+          if (title && child.nodeName.toLowerCase() === "h1" &&
+              !this.containsChange(child)) {
+            continue;
+          }
+          this.formatNode(child);
+        }
+        this.blank();
+        return;
+      }
+      case "ol":
+      case "ul": {
+        this.flush();
+        if (this.listDepth === 0) {
+          this.listPrefix = this.prefix;
+        }
+        this.listDepth++;
+        this.formatChildren(node);
+        this.flush();
+        this.listDepth--;
+        if (this.listDepth === 0) {
+          this.blank();
+        }
+        return;
+      }
+      case "li": {
+        // Nested lists are indented, keeping the prefix outside of the list.
+        this.flush();
+        const prevPrefix = this.prefix;
+        const indent = "  ".repeat(Math.max(0, this.listDepth - 1));
+        this.prefix = `${this.listPrefix}${indent}${this.markdown ? "- " : ""}`;
+        this.formatChildren(node);
+        this.flush();
+        this.prefix = prevPrefix;
+        return;
+      }
+      case "emu-note": {
+        this.blank();
+        const prevPrefix = this.prefix;
+        if (this.markdown) {
+          this.prefix = `${prevPrefix}> `;
+        }
+        this.formatChildren(node);
+        this.flush();
+        if (this.markdown && this.lines[this.lines.length - 1] === ">") {
+          this.lines.pop();
+        }
+        this.prefix = prevPrefix;
+        this.blank();
+        return;
+      }
+      case "emu-rhs": {
+        this.flush();
+        const prevPrefix = this.prefix;
+        this.prefix = `${prevPrefix}${this.markdown ? "  - " : "    "}`;
+        this.formatChildren(node);
+        this.flush();
+        this.prefix = prevPrefix;
+        return;
+      }
+      case "table": {
+        this.blank();
+        this.formatTable(node);
+        this.blank();
+        return;
+      }
+      case "var": {
+        const text = this.formatInline(node);
+        this.current += this.markdown && text.trim() ? `_${text}_` : text;
+        return;
+      }
+      case "code": {
+        const text = node.textContent;
+        this.current += this.markdown ? `\`${text}\`` : text;
+        return;
+      }
+    }
+
+    if (this.blockNodes.has(name)) {
+      if (this.listDepth > 0) {
+        this.flush();
+      } else {
+        this.blank();
+      }
+      this.formatChildren(node);
+      if (this.listDepth > 0) {
+        this.flush();
+      } else {
+        this.blank();
+      }
+      return;
+    }
+
+    this.formatChildren(node);
+  }
+
+  formatTable(table) {
+    const rows = [];
+    const collectRows = node => {
+      for (const child of node.childNodes) {
+        if (child.nodeType !== DiffTextNodeType.ELEMENT_NODE) {
+          continue;
+        }
+        const name = child.nodeName.toLowerCase();
+        if (name === "tr") {
+          rows.push(child);
+        } else if (name === "thead" || name === "tbody" || name === "tfoot" ||
+                   name === "ins" || name === "del") {
+          collectRows(child);
+        }
+      }
+    };
+    collectRows(table);
+
+    let first = true;
+    for (const row of rows) {
+      const rowChange = this.change || this.getChange(row);
+      const cells = [];
+      for (const cell of row.childNodes) {
+        if (cell.nodeType !== DiffTextNodeType.ELEMENT_NODE) {
+          continue;
+        }
+        const name = cell.nodeName.toLowerCase();
+        if (name !== "td" && name !== "th") {
+          continue;
+        }
+
+        const prevChange = this.change;
+        const cellChange = rowChange || this.getChange(cell);
+        this.change = cellChange;
+        let text = this.formatInline(cell);
+        this.change = prevChange;
+        if (cellChange) {
+          text = this.wrap(text, cellChange);
+        }
+        cells.push(text.replace(/\s+/g, " ").trim());
+      }
+
+      if (this.markdown) {
+        this.lines.push(`${this.prefix}| ${cells.join(" | ")} |`);
+        if (first) {
+          this.lines.push(`${this.prefix}|${cells.map(() => " --- |").join("")}`);
+        }
+      } else {
+        this.lines.push(`${this.prefix}${cells.join(" | ")}`);
+      }
+      first = false;
+    }
+  }
+
+  // Returns the text for the content of `node`, without line breaks.
+  formatInline(node) {
+    const saved = this.current;
+    const savedLines = this.lines;
+    this.current = "";
+    this.lines = [];
+
+    this.formatChildren(node);
+    const text = this.lines.concat([this.current]).join(" ");
+
+    this.current = saved;
+    this.lines = savedLines;
+    return text;
+  }
+
+  // Returns "ins" or "del" if `node` is inserted or removed, or null.
+  getChange(node) {
+    const classList = node.classList;
+    if (classList.contains("htmldiff-ins") ||
+        classList.contains("htmldiff-move-to")) {
+      return "ins";
+    }
+    if (classList.contains("htmldiff-del") ||
+        classList.contains("htmldiff-move-from")) {
+      return "del";
+    }
+    return null;
+  }
+
+  containsBlock(node) {
+    for (const child of node.childNodes) {
+      if (child.nodeType !== DiffTextNodeType.ELEMENT_NODE) {
+        continue;
+      }
+      if (this.blockNodes.has(child.nodeName.toLowerCase()) ||
+          this.containsBlock(child)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  containsChange(node) {
+    return node.getElementsByClassName("htmldiff-change").length > 0;
+  }
+
+  // Mark `text` as inserted or removed.
+  // Surrounding whitespaces are kept outside of the mark.
+  wrap(text, change) {
+    const m = text.match(/^(\s*)([^]*?)(\s*)$/);
+    if (!m[2]) {
+      return text;
+    }
+
+    let marked;
+    if (this.markdown) {
+      marked = change === "ins" ? `**+${m[2]}+**` : `~~-${m[2]}-~~`;
+    } else {
+      marked = change === "ins" ? `{+${m[2]}+}` : `[-${m[2]}-]`;
+    }
+    return `${m[1]}${marked}${m[3]}`;
+  }
+
+  escape(text) {
+    if (!this.markdown) {
+      return text;
+    }
+
+    return text
+      .replace(/([\\`*_~[\]<>|#])/g, "\\$1")
+      // Avoid treating the algorithm step number as ordered list.
+      .replace(/^(\s*\d+)\. /, "$1\\. ");
+  }
+
+  // Append the current line to the result.
+  flush() {
+    let text = this.current.replace(/\s+/g, " ").trim();
+    this.current = "";
+    if (!text) {
+      return;
+    }
+
+    if (this.change) {
+      text = this.wrap(text, this.change);
+    }
+    this.lines.push(`${this.prefix}${text}`);
+  }
+
+  // Append the current line and an empty line to the result.
+  //
+  // Inside a quote, the empty line keeps the quote mark.
+  blank() {
+    this.flush();
+    const empty = this.prefix.replace(/[^>]/g, "");
+    if (this.lines.length > 0 && this.lines[this.lines.length - 1] !== empty) {
+      this.lines.push(empty);
+    }
+  }
+}
+
+/* exported DiffTextFormatter */
+if (typeof module !== "undefined") {
+  module.exports = {
+    DiffTextFormatter,
+  };
+}
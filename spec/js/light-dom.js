@@ -0,0 +1,508 @@
+"use strict";
+
+// Minimal DOM-like tree, used for running the diff pipeline outside of
+// browser (e.g. Node).
+//
+// This implements only the subset of DOM that `HTMLTreeDiff` and
+// `ListMarkUtils` use, and the HTML parser here handles only the markup
+// generated by ecmarkup, which is mostly well-formed.
+
+const VOID_ELEMENTS = new Set([
+  "area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta",
+  "param", "source", "track", "wbr",
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(["script", "style"]);
+
+// Elements that implicitly close the currently open element with the name
+// in the value, when they start.
+const IMPLIED_END_TAGS = new Map([
+  ["li", ["li"]],
+  ["dt", ["dt", "dd"]],
+  ["dd", ["dt", "dd"]],
+  ["tr", ["td", "th", "tr"]],
+  ["td", ["td", "th"]],
+  ["th", ["td", "th"]],
+  ["option", ["option"]],
+  ["p", ["p"]],
+  ["div", ["p"]],
+  ["ol", ["p"]],
+  ["ul", ["p"]],
+  ["dl", ["p"]],
+  ["pre", ["p"]],
+  ["table", ["p"]],
+  ["h1", ["p"]],
+  ["h2", ["p"]],
+]);
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  apos: "'",
+  gt: ">",
+  lt: "<",
+  nbsp: "\u00A0",
+  quot: "\"",
+};
+
+function decodeEntities(s) {
+  return s.replace(/&(#[0-9]+|#[xX][0-9a-fA-F]+|[a-zA-Z]+);/g, (matched, name) => {
+    if (name.startsWith("#x") || name.startsWith("#X")) {
+      return String.fromCodePoint(parseInt(name.slice(2), 16));
+    }
+    if (name.startsWith("#")) {
+      return String.fromCodePoint(parseInt(name.slice(1), 10));
+    }
+    if (name in NAMED_ENTITIES) {
+      return NAMED_ENTITIES[name];
+    }
+    return matched;
+  });
+}
+
+function escapeText(s) {
+  return s
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\u00A0/g, "&nbsp;");
+}
+
+function escapeAttribute(s) {
+  return s
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/\u00A0/g, "&nbsp;");
+}
+
+class LightNode {
+  constructor(ownerDocument, nodeType, nodeName) {
+    this.ownerDocument = ownerDocument;
+    this.nodeType = nodeType;
+    this.nodeName = nodeName;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get lastChild() {
+    return this.childNodes[this.childNodes.length - 1] || null;
+  }
+
+  get nextSibling() {
+    if (!this.parentNode) {
+      return null;
+    }
+    const siblings = this.parentNode.childNodes;
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+
+  get previousSibling() {
+    if (!this.parentNode) {
+      return null;
+    }
+    const siblings = this.parentNode.childNodes;
+    return siblings[siblings.indexOf(this) - 1] || null;
+  }
+
+  get textContent() {
+    return this.childNodes.map(child => child.textContent).join("");
+  }
+
+  set textContent(text) {
+    for (const child of this.childNodes) {
+      child.parentNode = null;
+    }
+    this.childNodes = [];
+    if (text) {
+      this.appendChild(this.ownerDocument.createTextNode(text));
+    }
+  }
+
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  insertBefore(node, ref) {
+    node.remove();
+    node.parentNode = this;
+    if (ref) {
+      this.childNodes.splice(this.childNodes.indexOf(ref), 0, node);
+    } else {
+      this.childNodes.push(node);
+    }
+    return node;
+  }
+
+  remove() {
+    if (!this.parentNode) {
+      return;
+    }
+    const siblings = this.parentNode.childNodes;
+    siblings.splice(siblings.indexOf(this), 1);
+    this.parentNode = null;
+  }
+
+  before(...nodes) {
+    for (const node of nodes) {
+      this.parentNode.insertBefore(node, this);
+    }
+  }
+
+  after(...nodes) {
+    let ref = this.nextSibling;
+    for (const node of nodes) {
+      if (node === ref) {
+        ref = ref.nextSibling;
+        continue;
+      }
+      this.parentNode.insertBefore(node, ref);
+    }
+  }
+
+  replaceWith(node) {
+    this.before(node);
+    this.remove();
+  }
+}
+
+class LightText extends LightNode {
+  constructor(ownerDocument, data) {
+    super(ownerDocument, LightNode.TEXT_NODE, "#text");
+    this.data = data;
+  }
+
+  get textContent() {
+    return this.data;
+  }
+
+  set textContent(data) {
+    this.data = data;
+  }
+
+  cloneNode() {
+    return this.ownerDocument.createTextNode(this.data);
+  }
+
+  toHTML(parent) {
+    if (parent && RAW_TEXT_ELEMENTS.has(parent.localName)) {
+      return this.data;
+    }
+    return escapeText(this.data);
+  }
+}
+
+class LightComment extends LightNode {
+  constructor(ownerDocument, data) {
+    super(ownerDocument, LightNode.COMMENT_NODE, "#comment");
+    this.data = data;
+  }
+
+  get textContent() {
+    return "";
+  }
+
+  set textContent(data) {
+    this.data = data;
+  }
+
+  cloneNode() {
+    return this.ownerDocument.createComment(this.data);
+  }
+
+  toHTML() {
+    return `<!--${this.data}-->`;
+  }
+}
+
+class LightElement extends LightNode {
+  constructor(ownerDocument, name) {
+    super(ownerDocument, LightNode.ELEMENT_NODE, name.toUpperCase());
+    this.localName = name.toLowerCase();
+    this.attributes = [];
+    this.classList = new LightClassList(this);
+  }
+
+  get tagName() {
+    return this.nodeName;
+  }
+
+  get id() {
+    return this.getAttribute("id") || "";
+  }
+
+  set id(value) {
+    this.setAttribute("id", value);
+  }
+
+  get className() {
+    return this.getAttribute("class") || "";
+  }
+
+  set className(value) {
+    this.setAttribute("class", value);
+  }
+
+  get children() {
+    return this.childNodes.filter(
+      child => child.nodeType === LightNode.ELEMENT_NODE);
+  }
+
+  hasAttribute(name) {
+    return this.attributes.some(attr => attr.name === name);
+  }
+
+  getAttribute(name) {
+    const attr = this.attributes.find(attr => attr.name === name);
+    return attr ? attr.value : null;
+  }
+
+  setAttribute(name, value) {
+    const attr = this.attributes.find(attr => attr.name === name);
+    if (attr) {
+      attr.value = String(value);
+    } else {
+      this.attributes.push({ name, value: String(value) });
+    }
+  }
+
+  removeAttribute(name) {
+    this.attributes = this.attributes.filter(attr => attr.name !== name);
+  }
+
+  // Returns a snapshot array, unlike DOM's live HTMLCollection.
+  getElementsByTagName(name) {
+    name = name.toLowerCase();
+    const result = [];
+    this.collectElements(result, node => {
+      return name === "*" || node.localName === name;
+    });
+    return result;
+  }
+
+  // Returns a snapshot array, unlike DOM's live HTMLCollection.
+  getElementsByClassName(name) {
+    const result = [];
+    this.collectElements(result, node => node.classList.contains(name));
+    return result;
+  }
+
+  getElementById(id) {
+    const result = [];
+    this.collectElements(result, node => node.id === id);
+    return result[0] || null;
+  }
+
+  collectElements(result, filter) {
+    for (const child of this.children) {
+      if (filter(child)) {
+        result.push(child);
+      }
+      child.collectElements(result, filter);
+    }
+  }
+
+  cloneNode(deep = false) {
+    const result = this.ownerDocument.createElement(this.localName);
+    for (const { name, value } of this.attributes) {
+      result.setAttribute(name, value);
+    }
+    if (deep) {
+      for (const child of this.childNodes) {
+        result.appendChild(child.cloneNode(true));
+      }
+    }
+    return result;
+  }
+
+  get innerHTML() {
+    return this.childNodes.map(child => child.toHTML(this)).join("");
+  }
+
+  set innerHTML(html) {
+    this.textContent = "";
+    LightHTMLParser.parseInto(this, html);
+  }
+
+  get outerHTML() {
+    return this.toHTML();
+  }
+
+  toHTML() {
+    let attrs = "";
+    for (const { name, value } of this.attributes) {
+      attrs += ` ${name}="${escapeAttribute(value)}"`;
+    }
+    if (VOID_ELEMENTS.has(this.localName)) {
+      return `<${this.localName}${attrs}>`;
+    }
+    return `<${this.localName}${attrs}>${this.innerHTML}</${this.localName}>`;
+  }
+}
+LightNode.ELEMENT_NODE = 1;
+LightNode.TEXT_NODE = 3;
+LightNode.COMMENT_NODE = 8;
+
+class LightClassList {
+  constructor(element) {
+    this.element = element;
+  }
+
+  get names() {
+    return this.element.className.split(/\s+/).filter(name => name);
+  }
+
+  contains(name) {
+    return this.names.includes(name);
+  }
+
+  add(...names) {
+    const current = this.names;
+    for (const name of names) {
+      if (!current.includes(name)) {
+        current.push(name);
+      }
+    }
+    this.element.className = current.join(" ");
+  }
+
+  remove(...names) {
+    const current = this.names.filter(name => !names.includes(name));
+    this.element.className = current.join(" ");
+  }
+}
+
+class LightDocument {
+  constructor() {
+    this.body = this.createElement("body");
+  }
+
+  createElement(name) {
+    return new LightElement(this, name);
+  }
+
+  createTextNode(data) {
+    return new LightText(this, data);
+  }
+
+  createComment(data) {
+    return new LightComment(this, data);
+  }
+}
+
+class LightHTMLParser {
+  // Parse `html` and append the result to `parent`.
+  static parseInto(parent, html) {
+    const doc = parent.ownerDocument;
+    const stack = [parent];
+    const current = () => stack[stack.length - 1];
+
+    const tagRe = /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/y;
+    const attrRe = /\s+([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+    let i = 0;
+    while (i < html.length) {
+      const lt = html.indexOf("<", i);
+      if (lt === -1) {
+        current().appendChild(doc.createTextNode(decodeEntities(html.slice(i))));
+        break;
+      }
+      if (lt > i) {
+        current().appendChild(doc.createTextNode(decodeEntities(html.slice(i, lt))));
+      }
+      i = lt;
+
+      if (html.startsWith("<!--", i)) {
+        let end = html.indexOf("-->", i + 4);
+        if (end === -1) {
+          end = html.length;
+        }
+        current().appendChild(doc.createComment(html.slice(i + 4, end)));
+        i = end + 3;
+        continue;
+      }
+
+      if (html.startsWith("<!", i) || html.startsWith("<?", i)) {
+        const end = html.indexOf(">", i);
+        i = end === -1 ? html.length : end + 1;
+        continue;
+      }
+
+      tagRe.lastIndex = i;
+      const m = tagRe.exec(html);
+      if (!m) {
+        // Not a tag, treat as text.
+        current().appendChild(doc.createTextNode("<"));
+        i++;
+        continue;
+      }
+      i = tagRe.lastIndex;
+
+      const isEnd = m[1] === "/";
+      const name = m[2].toLowerCase();
+
+      if (isEnd) {
+        for (let n = stack.length - 1; n > 0; n--) {
+          if (stack[n].localName === name) {
+            stack.length = n;
+            break;
+          }
+        }
+        continue;
+      }
+
+      if (IMPLIED_END_TAGS.has(name)) {
+        const closed = IMPLIED_END_TAGS.get(name);
+        while (stack.length > 1 && closed.includes(current().localName)) {
+          stack.pop();
+        }
+      }
+
+      const element = doc.createElement(name);
+      attrRe.lastIndex = 0;
+      let a;
+      while ((a = attrRe.exec(m[3]))) {
+        let value = "";
+        for (const v of [a[2], a[3], a[4]]) {
+          if (v !== undefined) {
+            value = decodeEntities(v);
+            break;
+          }
+        }
+        const attrName = a[1].toLowerCase();
+        if (!element.hasAttribute(attrName)) {
+          element.setAttribute(attrName, value);
+        }
+      }
+      current().appendChild(element);
+
+      if (VOID_ELEMENTS.has(name) || m[4] === "/") {
+        continue;
+      }
+
+      if (RAW_TEXT_ELEMENTS.has(name)) {
+        const closeRe = new RegExp(`</${name}\\s*>`, "ig");
+        closeRe.lastIndex = i;
+        const close = closeRe.exec(html);
+        const end = close ? close.index : html.length;
+        if (end > i) {
+          element.appendChild(doc.createTextNode(html.slice(i, end)));
+        }
+        i = close ? closeRe.lastIndex : html.length;
+        continue;
+      }
+
+      stack.push(element);
+    }
+  }
+}
+
+/* exported LightDocument */
+if (typeof module !== "undefined") {
+  module.exports = {
+    LightDocument,
+    LightNode,
+  };
+}
@@ -0,0 +1,136 @@
+"use strict";
+
+// Select the revisions to compare for PRs, and the revisions on the main
+// branch that they're based on, from `revs.json` and `prs.json`.
+//
+// This doesn't depend on browser window, so that it can be tested in Node.
+
+class PRRevisions {
+  // `revMap` is a map from the hash to the revision on the main branch.
+  // `prMap` is a map from the PR number to the PR, with `parent` property for
+  // the PR's base.
+  constructor(revMap, prMap) {
+    this.revMap = revMap;
+    this.prMap = prMap;
+  }
+
+  // Returns the option value of from/to revisions for the PR's head.
+  static prToOptValue(pr) {
+    return `PR/${pr.number}/${pr.head}`;
+  }
+
+  // Returns the option value of from/to revisions for the PR's revision.
+  static prRevToOptValue(pr, hash) {
+    return `PR/${pr.number}/${hash}`;
+  }
+
+  // Returns the PR and the revision's hash for the option value created by
+  // `prRevToOptValue`, or null if `value` isn't a known PR revision.
+  optValueToPRRev(value) {
+    const m = value.match(/^PR\/(\d+)\/(.+)$/);
+    if (!m || !(m[1] in this.prMap)) {
+      return null;
+    }
+
+    const pr = this.prMap[m[1]];
+    const hash = m[2];
+    if (hash !== pr.head && !pr.revs.some(rev => rev.hash === hash)) {
+      return null;
+    }
+    return { hash, pr };
+  }
+
+  // Returns true if `prFrom` and `prTo` are 2 revisions of the PR, instead of
+  // the PR's base and head.
+  //
+  // `prFrom` is either a hash of the PR's revision or "base".
+  isPRInterdiff(prnum, prFrom, prTo) {
+    return prnum in this.prMap &&
+      (prFrom !== "base" || prTo !== this.prMap[prnum].head);
+  }
+
+  // Returns true if both from/to option values are PR revisions.
+  isComparingPRs(from, to) {
+    return this.optValueToPRRev(from) !== null &&
+      this.optValueToPRRev(to) !== null;
+  }
+
+  // Returns the revision on the main branch that the PR revision `hash` is
+  // based on.
+  //
+  // If the PR merged the main branch, or it's rebased, this is the latest
+  // revision on the main branch that is reachable from `hash`.
+  getPRRevBase(pr, hash) {
+    const prRevMap = new Map(pr.revs.map(rev => [rev.hash, rev]));
+
+    let base = null;
+    const visited = new Set();
+    const queue = [hash];
+    while (queue.length > 0) {
+      const rev = prRevMap.get(queue.pop());
+      if (!rev) {
+        continue;
+      }
+
+      for (const parent of rev.parents.split(" ")) {
+        if (parent in this.revMap) {
+          if (!base ||
+              new Date(this.revMap[parent].date) > new Date(this.revMap[base].date)) {
+            base = parent;
+          }
+        } else if (!visited.has(parent)) {
+          visited.add(parent);
+          queue.push(parent);
+        }
+      }
+    }
+
+    return base || pr.parent;
+  }
+
+  // Returns the revision on the main branch that the revision for the option
+  // value is based on.
+  // Revisions on the main branch are based on themselves.
+  getBaseForOptValue(value) {
+    const prRev = this.optValueToPRRev(value);
+    if (prRev) {
+      return this.getPRRevBase(prRev.pr, prRev.hash);
+    }
+    return value;
+  }
+
+  // Returns the base revisions for from/to option values as
+  // `{ fromBase, toBase }`, if they're 2 revisions of the PR `prnum`, or
+  // revisions of 2 PRs, or null otherwise.
+  //
+  // `prFrom` and `prTo` are the selected revisions of the PR, as
+  // `isPRInterdiff`.
+  getBases(from, to, prnum, prFrom, prTo) {
+    if (!this.isPRInterdiff(prnum, prFrom, prTo) &&
+        !this.isComparingPRs(from, to)) {
+      return null;
+    }
+
+    return {
+      fromBase: this.getBaseForOptValue(from),
+      toBase: this.getBaseForOptValue(to),
+    };
+  }
+
+  // Returns the list of diffs for the three-way view of from/to option
+  // values, each as `{ type, base, rev }`, where `type` is "from" or "to",
+  // and `rev` is diffed against `base`.
+  getThreeWayDiffs(from, to) {
+    return [
+      { type: "from", base: this.getBaseForOptValue(from), rev: from },
+      { type: "to", base: this.getBaseForOptValue(to), rev: to },
+    ];
+  }
+}
+
+/* exported PRRevisions */
+if (typeof module !== "undefined") {
+  module.exports = {
+    PRRevisions,
+  };
+}
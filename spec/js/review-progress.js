@@ -0,0 +1,166 @@
+"use strict";
+
+// Keep the list of sections marked as reviewed, for each head revision of PR
+// or each pair of from/to revisions, in localStorage.
+//
+// Each section is stored with the fingerprint of its from/to HTML, so that
+// the section reviewed at the previous head of the PR stays reviewed at the
+// new head only if its diff isn't changed.
+//
+// This doesn't depend on browser window, so that it can be tested in Node
+// with another storage.
+class ReviewProgress {
+  // `storage` is the Storage, which is `localStorage` in browser.
+  constructor(storage = typeof localStorage === "undefined" ? null : localStorage) {
+    this.storage = storage;
+
+    this.KEY_PREFIX = "ecma262-compare-review:";
+    // The number of head revisions to keep the progress for each PR.
+    this.MAX_HEADS = 5;
+
+    this.name = null;
+    this.head = null;
+    // Map from section id to `{ fingerprint }`.
+    this.sections = {};
+  }
+
+  // Returns the name to store the progress, for the PR number `prnum`, or
+  // for the pair of from/to revisions if `prnum` is "-".
+  static getName(prnum, from, to) {
+    if (prnum !== "-") {
+      return `PR/${prnum}`;
+    }
+    return `${from}..${to}`;
+  }
+
+  // Load the progress for `name` returned by `getName`, at `head` revision
+  // of the PR, or null for the pair of from/to revisions.
+  //
+  // If nothing is stored for the head, sections reviewed at the most
+  // recently reviewed head are carried over if their fingerprint is the same
+  // as `fingerprints`, that is a map from section id to the fingerprint at
+  // the head.
+  load(name, head, fingerprints) {
+    if (this.name === name && this.head === head) {
+      return;
+    }
+
+    this.name = name;
+    this.head = head;
+    this.sections = this.read(this.getKey(name, head)) || {};
+
+    if (head === null) {
+      return;
+    }
+    const heads = this.getHeads(name);
+    if (heads.length === 0 || heads.includes(head)) {
+      return;
+    }
+
+    const previous = this.read(this.getKey(name, heads[heads.length - 1]));
+    for (const secId in previous || {}) {
+      if (fingerprints.get(secId) === previous[secId].fingerprint) {
+        this.sections[secId] = previous[secId];
+      }
+    }
+  }
+
+  isReviewed(secId, fingerprint) {
+    const entry = this.sections[secId];
+    return !!entry && entry.fingerprint === fingerprint;
+  }
+
+  setReviewed(secId, fingerprint, reviewed) {
+    if (reviewed) {
+      this.sections[secId] = { fingerprint };
+    } else {
+      delete this.sections[secId];
+    }
+    this.save();
+  }
+
+  save() {
+    this.write(this.getKey(this.name, this.head), this.sections);
+    if (this.head === null) {
+      return;
+    }
+
+    const heads = this.getHeads(this.name).filter(head => head !== this.head);
+    heads.push(this.head);
+    while (heads.length > this.MAX_HEADS) {
+      this.remove(this.getKey(this.name, heads.shift()));
+    }
+    this.write(this.getHeadsKey(this.name), heads);
+  }
+
+  getKey(name, head) {
+    if (head === null) {
+      return `${this.KEY_PREFIX}${name}`;
+    }
+    return `${this.KEY_PREFIX}${name}/${head}`;
+  }
+
+  getHeadsKey(name) {
+    return `${this.KEY_PREFIX}${name}:heads`;
+  }
+
+  // Returns the list of head revisions of the PR with the stored progress,
+  // from the least recently reviewed one.
+  getHeads(name) {
+    return this.read(this.getHeadsKey(name)) || [];
+  }
+
+  read(key) {
+    if (!this.storage) {
+      return null;
+    }
+    try {
+      const json = this.storage.getItem(key);
+      return json ? JSON.parse(json) : null;
+    } catch (e) {
+      console.error(e);
+      return null;
+    }
+  }
+
+  write(key, value) {
+    if (!this.storage) {
+      return;
+    }
+    try {
+      this.storage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+      console.error(e);
+    }
+  }
+
+  remove(key) {
+    if (!this.storage) {
+      return;
+    }
+    try {
+      this.storage.removeItem(key);
+    } catch (e) {
+      console.error(e);
+    }
+  }
+
+  // Returns a short hash of the section's from/to HTML.
+  static createFingerprint(fromHTML, toHTML) {
+    // 32-bit FNV-1a.
+    const s = `${fromHTML}\u0000${toHTML}`;
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < s.length; i++) {
+      hash ^= s.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, "0");
+  }
+}
+
+/* exported ReviewProgress */
+if (typeof module !== "undefined") {
+  module.exports = {
+    ReviewProgress,
+  };
+}
@@ -0,0 +1,875 @@
+"use strict";
+
+/* global LightDocument */
+
+// Compare the list of sections between 2 `sections.json` data.
+//
+// This is shared between the comparator page and Node scripts, and doesn't
+// depend on browser window.
+
+// `Node` is not available in Node.
+const SectionsComparatorNodeType = {
+  ELEMENT_NODE: 1,
+};
+
+class SectionsComparator {
+  // `fromSecData` and `toSecData` are the `sections.json` data (or a subset of
+  // it in `parent_diff.json`) for from/to revisions, with `map` created by
+  // `SectionsComparator.createSecMap`.
+  constructor(fromSecData, toSecData) {
+    this.fromSecData = fromSecData;
+    this.toSecData = toSecData;
+
+    this.fromBaseSecData = null;
+    this.toBaseSecData = null;
+
+    this.wordStatCache = new Map();
+    this.categoriesCache = new Map();
+
+    // Map from section id to the set of ids of sections that refer to it,
+    // for from/to revisions.
+    // Created by `getReferrerMap` on the first use.
+    this.fromReferrerMap = null;
+    this.toReferrerMap = null;
+
+    // The list of `{ id, stat }` returned by `getSectionList`, used by
+    // `getReferrers`.
+    this.referrerCandidates = null;
+
+    // Threshold of the similarity for removed and added sections to be
+    // treated as moved/renamed.
+    this.renameThreshold = 0.7;
+
+    // Map from the id in "to" revision to the id in "from" revision, for
+    // sections whose id is changed.
+    // Created by `findRenamedSections` on the first use.
+    this.renamedMap = null;
+
+    // Whether to hide the change of section number, caption number, and xref
+    // number in the diff.
+    this.hideRenumbering = false;
+  }
+
+  // Set whether to hide the change of section number, caption number, and
+  // xref number in the diff, created by `fixupExcluded`.
+  //
+  // If hidden, only the number in "to" revision is shown, with
+  // `htmldiff-number-hidden` class and the old number in the title.
+  // Otherwise, the change is shown as `del`/`ins` pair with
+  // `htmldiff-number-change` class.
+  //
+  // The section list and the word stat are not affected, given the numbers
+  // are not part of the section's HTML.
+  setHideRenumbering(hide) {
+    this.hideRenumbering = hide;
+  }
+
+  // Set the `sections.json` data for the revisions on the main branch that
+  // from/to revisions are based on.
+  //
+  // This is used when comparing 2 revisions of a PR with different bases.
+  // Sections that are same as the base in both from/to revisions are treated
+  // as not changed, given the change comes from the main branch.
+  setBaseSecData(fromBaseSecData, toBaseSecData) {
+    this.fromBaseSecData = fromBaseSecData;
+    this.toBaseSecData = toBaseSecData;
+
+    this.referrerCandidates = null;
+  }
+
+  // Create a map from section/figure id to its number, as `secData.map`.
+  static createSecMap(secData) {
+    const map = {};
+    for (const id in secData.secData) {
+      map[id] = secData.secData[id].num;
+    }
+    for (const id in secData.figData) {
+      map[id] = secData.figData[id];
+    }
+    secData.map = map;
+  }
+
+  static getSectionHTML(data, secId) {
+    if (data.secData && secId in data.secData) {
+      return data.secData[secId].html;
+    }
+    return null;
+  }
+
+  // Returns the list of all sections in from/to revisions, sorted by the
+  // section number.
+  //
+  // Each item has the following properties:
+  //   id      - the id of the section's header element
+  //   stat    - "same", "mod", "move", "del", or "ins"
+  //             "move" is for the section whose id is changed, detected by
+  //             the content similarity
+  //   fromId  - the id of the section's header element in "from" revision,
+  //             or "" if added
+  //   fromNum - the section number in "from" revision, or "" if removed
+  //   toNum   - the section number in "to" revision, or "" if added
+  getSectionList() {
+    const renamedMap = this.getRenamedMap();
+    const renamedFromSet = new Set(renamedMap.values());
+
+    const fromSecSet = new Set(this.fromSecData.secList);
+    const toSecSet = new Set(this.toSecData.secList);
+    const secSet = new Set(this.fromSecData.secList.concat(this.toSecData.secList));
+    for (const fromId of renamedFromSet) {
+      secSet.delete(fromId);
+    }
+
+    const result = [];
+    for (const secId of Array.from(secSet).sort((a, b) => {
+      const aTitle = this.getComparableTitle(a);
+      const bTitle = this.getComparableTitle(b);
+      if (aTitle === bTitle) {
+        return 0;
+      }
+      return aTitle < bTitle ? -1 : 1;
+    })) {
+      let stat;
+
+      let fromId = "";
+      let fromNum = "";
+      let toNum = "";
+
+      if (renamedMap.has(secId)) {
+        fromId = renamedMap.get(secId);
+        fromNum = this.fromSecData.secData[fromId].num;
+        toNum = this.toSecData.secData[secId].num;
+
+        stat = "move";
+      } else if (fromSecSet.has(secId)) {
+        fromId = secId;
+        fromNum = this.fromSecData.secData[secId].num;
+
+        if (toSecSet.has(secId)) {
+          toNum = this.toSecData.secData[secId].num;
+
+          if (!this.isChanged(secId)) {
+            stat = "same";
+          } else {
+            stat = "mod";
+          }
+        } else {
+          stat = "del";
+        }
+      } else {
+        toNum = this.toSecData.secData[secId].num;
+
+        stat = "ins";
+      }
+
+      if (stat !== "same" && this.isBaseChange(secId)) {
+        stat = "same";
+      }
+
+      result.push({
+        fromId,
+        fromNum,
+        id: secId,
+        stat,
+        toNum,
+      });
+    }
+
+    return result;
+  }
+
+  // Returns the map from the id in "to" revision to the id in "from" revision,
+  // for sections whose id is changed.
+  getRenamedMap() {
+    if (!this.renamedMap) {
+      this.renamedMap = this.findRenamedSections();
+    }
+    return this.renamedMap;
+  }
+
+  // Find pairs of removed and added sections with similar content.
+  //
+  // Each removed section is paired with the most similar added section, in
+  // the descending order of the similarity.
+  findRenamedSections() {
+    const fromSecSet = new Set(this.fromSecData.secList);
+    const toSecSet = new Set(this.toSecData.secList);
+    const removed = this.fromSecData.secList.filter(id => !toSecSet.has(id));
+    const added = this.toSecData.secList.filter(id => !fromSecSet.has(id));
+
+    const renamedMap = new Map();
+    if (removed.length === 0 || added.length === 0) {
+      return renamedMap;
+    }
+
+    const getWordCounts = html => {
+      const counts = new Map();
+      for (const word of SectionsComparator.getWords(html)) {
+        counts.set(word, (counts.get(word) || 0) + 1);
+      }
+      return counts;
+    };
+    const getTotal = counts => {
+      let total = 0;
+      for (const count of counts.values()) {
+        total += count;
+      }
+      return total;
+    };
+
+    const addedCounts = added.map(id => {
+      const counts = getWordCounts(this.toSecData.secData[id].html);
+      return { id, counts, total: getTotal(counts) };
+    });
+
+    const candidates = [];
+    for (const fromId of removed) {
+      const counts = getWordCounts(this.fromSecData.secData[fromId].html);
+      const total = getTotal(counts);
+      for (const to of addedCounts) {
+        if (total + to.total === 0) {
+          continue;
+        }
+
+        let common = 0;
+        for (const [word, count] of counts) {
+          common += Math.min(count, to.counts.get(word) || 0);
+        }
+        const similarity = 2 * common / (total + to.total);
+        if (similarity >= this.renameThreshold) {
+          candidates.push({ fromId, toId: to.id, similarity });
+        }
+      }
+    }
+
+    candidates.sort((a, b) => b.similarity - a.similarity);
+    const usedFromIds = new Set();
+    for (const { fromId, toId } of candidates) {
+      if (usedFromIds.has(fromId) || renamedMap.has(toId)) {
+        continue;
+      }
+      usedFromIds.add(fromId);
+      renamedMap.set(toId, fromId);
+    }
+
+    return renamedMap;
+  }
+
+  // Returns the id of the section in "from" revision, for the section id
+  // returned by `getSectionList`.
+  getFromId(secId) {
+    const renamedMap = this.getRenamedMap();
+    if (renamedMap.has(secId)) {
+      return renamedMap.get(secId);
+    }
+    return secId;
+  }
+
+  // Returns the HTML of the section in "from" revision, for the section id
+  // returned by `getSectionList`, or null if the section doesn't exist.
+  //
+  // For moved/renamed section, the header element's id is replaced with the
+  // new id, so that the section is diffed as a modified section.
+  getFromSectionHTML(secId) {
+    const fromId = this.getFromId(secId);
+    const html = SectionsComparator.getSectionHTML(this.fromSecData, fromId);
+    if (html === null || fromId === secId) {
+      return html;
+    }
+    return html.replace(` id="${fromId}"`, ` id="${secId}"`);
+  }
+
+  // Returns a string representation of section number+title that is comparable
+  // with comparison operator.
+  //
+  // `secId` is the id of the section's header element.
+  //
+  // Each section number component is replaced with single code unit with the
+  // number.
+  getComparableTitle(secId) {
+    const t = this.getSectionTitle(secId);
+    return t.replace(/([0-9]+)/g, matched => String.fromCharCode(matched));
+  }
+
+  // Returns section number + title for the section.
+  //
+  // `secId` is the id of the section's header element.
+  getSectionTitle(secId) {
+    if (secId in this.fromSecData.secData) {
+      const sec = this.fromSecData.secData[secId];
+      return `${sec.num} ${this.filterSecTitle(sec.title)}`;
+    }
+
+    if (secId in this.toSecData.secData) {
+      const sec = this.toSecData.secData[secId];
+      return `${sec.num} ${this.filterSecTitle(sec.title)}`;
+    }
+
+    return "";
+  }
+
+  filterSecTitle(title) {
+    const m = title.match(/^(#[^ ]+)+ +(.+)/);
+    if (!m) {
+      return title;
+    }
+    return `[${m[1]}] ${m[2]}`;
+  }
+
+  // Returns whether the section is changed, added, or removed between from/to
+  // revisions.
+  isChanged(secId) {
+    // This should be synced with SectionsComparator#is_changed in build.py
+    const fromHTML = this.fromSecData.secData[secId].html;
+    const toHTML = this.toSecData.secData[secId].html;
+
+    const fromHTMLFiltered = this.filterAttributeForComparison(fromHTML);
+    const toHTMLFiltered = this.filterAttributeForComparison(toHTML);
+
+    return fromHTMLFiltered !== toHTMLFiltered;
+  }
+
+  // Returns whether the section is changed only in the main branch, between
+  // the bases of from/to revisions.
+  isBaseChange(secId) {
+    if (!this.fromBaseSecData || !this.toBaseSecData) {
+      return false;
+    }
+
+    const isSameAsBase = (secData, baseSecData) => {
+      const html = SectionsComparator.getSectionHTML(secData, secId);
+      const baseHTML = SectionsComparator.getSectionHTML(baseSecData, secId);
+      if (html === null || baseHTML === null) {
+        return html === baseHTML;
+      }
+      return this.filterAttributeForComparison(html) ===
+        this.filterAttributeForComparison(baseHTML);
+    };
+
+    return isSameAsBase(this.fromSecData, this.fromBaseSecData) &&
+      isSameAsBase(this.toSecData, this.toBaseSecData);
+  }
+
+  // Returns the number of inserted and removed words in the section, as
+  // `{ del, ins }`.
+  //
+  // This is an approximation that compares the multiset of words, ignoring
+  // the order, so that it can be calculated for all sections quickly.
+  getWordStat(secId) {
+    if (this.wordStatCache.has(secId)) {
+      return this.wordStatCache.get(secId);
+    }
+
+    const fromHTML = this.getFromSectionHTML(secId);
+    const toHTML = SectionsComparator.getSectionHTML(this.toSecData, secId);
+
+    const counts = new Map();
+    let del = 0;
+    if (fromHTML !== null) {
+      for (const word of SectionsComparator.getWords(fromHTML)) {
+        counts.set(word, (counts.get(word) || 0) + 1);
+        del++;
+      }
+    }
+
+    let ins = 0;
+    if (toHTML !== null) {
+      for (const word of SectionsComparator.getWords(toHTML)) {
+        const count = counts.get(word);
+        if (count) {
+          counts.set(word, count - 1);
+          del--;
+        } else {
+          ins++;
+        }
+      }
+    }
+
+    const stat = { del, ins };
+    this.wordStatCache.set(secId, stat);
+    return stat;
+  }
+
+  // Returns the list of the heuristic categories of the change in the section,
+  // in the following order:
+  //   "algorithm"    - algorithm steps (`emu-alg`)
+  //   "grammar"      - grammar (`emu-grammar` or `emu-production`)
+  //   "early-errors" - anything in Early Errors section
+  //   "prose"        - other text
+  //   "notes"        - notes or examples (`emu-note` or `emu-example`)
+  //   "markup"       - markup or attributes only, if none of the above
+  //
+  // Returns an empty list if the section is not changed.
+  getChangeCategories(secId) {
+    if (this.categoriesCache.has(secId)) {
+      return this.categoriesCache.get(secId);
+    }
+
+    const fromHTML = this.getFromSectionHTML(secId) || "";
+    const toHTML = SectionsComparator.getSectionHTML(this.toSecData, secId) || "";
+
+    const categories = [];
+    const fromFiltered = this.filterAttributeForComparison(fromHTML);
+    const toFiltered = this.filterAttributeForComparison(toHTML);
+    if (fromFiltered !== toFiltered) {
+      const fromParts = SectionsComparator.splitByCategory(fromFiltered);
+      const toParts = SectionsComparator.splitByCategory(toFiltered);
+
+      const isEarlyErrors = /Early Errors/.test(this.getSectionTitle(secId));
+      const isPartChanged = name => {
+        if (name === "grammar") {
+          // Attributes such as `optional` and `params` are part of grammar.
+          return fromParts.grammar !== toParts.grammar;
+        }
+        // Markup-only change is categorized as "markup".
+        return SectionsComparator.getWords(fromParts[name]).join(" ") !==
+          SectionsComparator.getWords(toParts[name]).join(" ");
+      };
+
+      for (const name of ["algorithm", "grammar", "prose", "notes"]) {
+        if (!isPartChanged(name)) {
+          continue;
+        }
+        if (isEarlyErrors && name !== "notes") {
+          if (!categories.includes("early-errors")) {
+            categories.push("early-errors");
+          }
+          continue;
+        }
+        categories.push(name);
+      }
+      if (categories.length === 0) {
+        categories.push("markup");
+      }
+    }
+
+    this.categoriesCache.set(secId, categories);
+    return categories;
+  }
+
+  // Returns whether the change in the section looks normative, that is,
+  // not only in notes, examples, or markup.
+  isNormativeChange(secId) {
+    return this.getChangeCategories(secId).some(
+      category => category !== "notes" && category !== "markup");
+  }
+
+  // Split the section's HTML into the parts for each category of
+  // `getChangeCategories`, as `{ algorithm, grammar, notes, prose }`.
+  //
+  // Each part is the concatenation of the HTML of the outermost elements for
+  // the category, and `prose` is the rest.
+  static splitByCategory(html) {
+    // Notes can contain algorithm and grammar, and they're not normative.
+    const categories = new Map([
+      ["emu-note", "notes"],
+      ["emu-example", "notes"],
+      ["emu-alg", "algorithm"],
+      ["emu-grammar", "grammar"],
+      ["emu-production", "grammar"],
+    ]);
+
+    const root = SectionsComparator.createLightDocument().createElement("div");
+    root.innerHTML = html;
+
+    const parts = {
+      algorithm: [],
+      grammar: [],
+      notes: [],
+    };
+    const walk = node => {
+      for (const child of [...node.childNodes]) {
+        if (child.nodeType !== SectionsComparatorNodeType.ELEMENT_NODE) {
+          continue;
+        }
+
+        const category = categories.get(child.localName);
+        if (category) {
+          parts[category].push(child.outerHTML);
+          child.remove();
+          continue;
+        }
+
+        walk(child);
+      }
+    };
+    walk(root);
+
+    return {
+      algorithm: parts.algorithm.join("\n"),
+      grammar: parts.grammar.join("\n"),
+      notes: parts.notes.join("\n"),
+      prose: root.innerHTML,
+    };
+  }
+
+  // `LightDocument` is a global in browser, and a module in Node.
+  static createLightDocument() {
+    if (typeof LightDocument === "undefined") {
+      const { LightDocument } = require("./light-dom.js");
+      return new LightDocument();
+    }
+    return new LightDocument();
+  }
+
+  // Returns the list of changes to abstract operations between from/to
+  // revisions, sorted by the name.
+  //
+  // Each item has the following properties:
+  //   type       - "ins", "del", "rename", or "signature"
+  //   fromName   - the name in "from" revision, or "" if added
+  //   toName     - the name in "to" revision, or "" if removed
+  //   fromParams - the list of parameters in "from" revision
+  //   toParams   - the list of parameters in "to" revision
+  //   fromId     - the id of the section in "from" revision, or "" if added
+  //   toId       - the id of the section in "to" revision, or "" if removed
+  //
+  // Renamed operation is detected by the section id, including the section
+  // whose id is changed, and may also have different parameters.
+  getAbstractOperationChanges() {
+    const fromAOs = this.getAbstractOperations(this.fromSecData);
+    const toAOs = this.getAbstractOperations(this.toSecData);
+
+    const fromIdToAO = new Map();
+    for (const ao of fromAOs.values()) {
+      fromIdToAO.set(ao.id, ao);
+    }
+
+    const changes = [];
+    const matchedFromNames = new Set();
+    for (const to of toAOs.values()) {
+      let from = fromAOs.get(to.name);
+      if (!from) {
+        // Renamed operation keeps the section, possibly with new id.
+        const candidate = fromIdToAO.get(this.getFromId(to.id));
+        if (candidate && !toAOs.has(candidate.name)) {
+          from = candidate;
+        }
+      }
+
+      if (!from) {
+        changes.push(this.createAOChange("ins", null, to));
+        continue;
+      }
+
+      matchedFromNames.add(from.name);
+      if (from.name !== to.name) {
+        changes.push(this.createAOChange("rename", from, to));
+      } else if (from.params.join(", ") !== to.params.join(", ")) {
+        changes.push(this.createAOChange("signature", from, to));
+      }
+    }
+
+    for (const from of fromAOs.values()) {
+      if (!matchedFromNames.has(from.name)) {
+        changes.push(this.createAOChange("del", from, null));
+      }
+    }
+
+    return changes.sort((a, b) => {
+      const aName = a.toName || a.fromName;
+      const bName = b.toName || b.fromName;
+      if (aName === bName) {
+        return 0;
+      }
+      return aName < bName ? -1 : 1;
+    });
+  }
+
+  createAOChange(type, from, to) {
+    return {
+      type,
+      fromName: from ? from.name : "",
+      toName: to ? to.name : "",
+      fromParams: from ? from.params : [],
+      toParams: to ? to.params : [],
+      fromId: from ? from.id : "",
+      toId: to ? to.id : "",
+    };
+  }
+
+  // Returns a map from the name of abstract operation to `{ name, params, id }`
+  // for the revision.
+  //
+  // Abstract operations are sections with `aoid` attribute, or sections whose
+  // title looks like "PrivateFieldAdd ( P, O, value )".
+  getAbstractOperations(secData) {
+    const aos = new Map();
+    for (const id of secData.secList) {
+      const sec = secData.secData[id];
+      const title = sec.title.replace(/<[^>]*>/g, "").replace(/\s+/g, " ").trim();
+      const m = title.match(/^([\w%.]+) \((.*)\)$/);
+      if (!m) {
+        continue;
+      }
+
+      const aoid = sec.html.match(/^<[^>]* aoid="([^"]+)"/);
+      const name = aoid ? aoid[1] : m[1];
+      if (!aoid && !/^[A-Z][A-Za-z0-9]*$/.test(name)) {
+        continue;
+      }
+
+      // Optional parameters, such as "[ , value ]", are represented as
+      // "[value]".
+      const params = [];
+      let depth = 0;
+      for (const token of m[2].match(/\[|\]|,|[^[\],]+/g) || []) {
+        if (token === "[") {
+          depth++;
+        } else if (token === "]") {
+          depth--;
+        } else if (token !== "," && token.trim()) {
+          params.push(depth > 0 ? `[${token.trim()}]` : token.trim());
+        }
+      }
+      aos.set(name, { name, params, id });
+    }
+    return aos;
+  }
+
+  // Returns the list of sections that refer to the section with `emu-xref`,
+  // in either from/to revisions, sorted by the section number.
+  //
+  // `secId` is the section id returned by `getSectionList`.
+  //
+  // Each item has the following properties:
+  //   id   - the section id, as returned by `getSectionList`
+  //   stat - the `stat` of the section, as returned by `getSectionList`
+  getReferrers(secId) {
+    if (!this.fromReferrerMap) {
+      this.fromReferrerMap = this.getReferrerMap(this.fromSecData);
+      this.toReferrerMap = this.getReferrerMap(this.toSecData);
+    }
+
+    const toListedId = new Map();
+    for (const [toId, fromId] of this.getRenamedMap()) {
+      toListedId.set(fromId, toId);
+    }
+
+    const referrerIds = new Set();
+    const fromReferrers = this.fromReferrerMap.get(this.getFromId(secId));
+    if (fromReferrers) {
+      for (const id of fromReferrers) {
+        referrerIds.add(toListedId.get(id) || id);
+      }
+    }
+    const toReferrers = this.toReferrerMap.get(secId);
+    if (toReferrers) {
+      for (const id of toReferrers) {
+        referrerIds.add(id);
+      }
+    }
+    referrerIds.delete(secId);
+
+    if (!this.referrerCandidates) {
+      this.referrerCandidates = this.getSectionList()
+        .map(({ id, stat }) => ({ id, stat }));
+    }
+    return this.referrerCandidates.filter(item => referrerIds.has(item.id));
+  }
+
+  // Returns a map from section id to the set of ids of sections that refer to
+  // it with `emu-xref`, in the revision.
+  //
+  // `emu-xref` refers to the section either with `href` attribute, `href`
+  // attribute of the inner link, or `aoid` attribute for abstract operation.
+  getReferrerMap(secData) {
+    const aos = this.getAbstractOperations(secData);
+
+    const map = new Map();
+    const re = /<emu-xref\b([^>]*)>\s*(?:<a\b[^>]*\bhref="#([^"]+)")?/g;
+    for (const id of secData.secList) {
+      const html = secData.secData[id].html;
+      let m;
+      while ((m = re.exec(html)) !== null) {
+        const attrs = m[1];
+        let target = null;
+        const href = attrs.match(/\bhref="#([^"]+)"/);
+        const aoid = attrs.match(/\baoid="([^"]+)"/);
+        if (href) {
+          target = href[1];
+        } else if (m[2]) {
+          target = m[2];
+        } else if (aoid && aos.has(aoid[1])) {
+          target = aos.get(aoid[1]).id;
+        }
+
+        if (!target || !(target in secData.secData)) {
+          continue;
+        }
+        if (!map.has(target)) {
+          map.set(target, new Set());
+        }
+        map.get(target).add(id);
+      }
+    }
+    return map;
+  }
+
+  // Returns the list of words in the section's HTML.
+  //
+  // The content of excluded sections are skipped, given they're compared
+  // separately.
+  static getWords(html) {
+    const words = [];
+
+    // The depth of `div` inside excluded section, or 0 if not inside it.
+    let excludedDepth = 0;
+    const re = /<[^>]*>|[^<]+/g;
+    let m;
+    while ((m = re.exec(html)) !== null) {
+      const token = m[0];
+      if (token.startsWith("<")) {
+        if (/^<div\b/i.test(token)) {
+          if (excludedDepth > 0) {
+            excludedDepth++;
+          } else if (/\sid="excluded-/.test(token)) {
+            excludedDepth = 1;
+          }
+        } else if (/^<\/div\b/i.test(token) && excludedDepth > 0) {
+          excludedDepth--;
+        }
+        continue;
+      }
+
+      if (excludedDepth > 0) {
+        continue;
+      }
+
+      const text = token
+        .replace(/&nbsp;/g, " ")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, "\"")
+        .replace(/&amp;/g, "&");
+      const textWords = text.match(/[^\s.,:;?!()[\]]+/g);
+      if (textWords) {
+        words.push(...textWords);
+      }
+    }
+
+    return words;
+  }
+
+  // Filter attributes that should be ignored when comparing 2 revisions.
+  filterAttributeForComparison(s) {
+    // This should be synced with
+    // SectionsComparator#filter_attribute_for_comparison in build.py
+
+    return s
+      .replace(/ (aoid|href)="[^"]+"/g, "");
+  }
+
+  // Replace the placeholder for section number, caption number, and xref
+  // number, with the actual number.
+  //
+  // `type` is one of "diff", "from", or "to".
+  //
+  // See `setHideRenumbering` for the number changed between from/to
+  // revisions.
+  //
+  // Returns false if some number is not found in the data.
+  fixupExcluded(type, box) {
+    const doc = box.ownerDocument;
+    let result = true;
+
+    const fixup = (node, id) => {
+      if (type === "diff") {
+        if (id in this.toSecData.map &&
+            id in this.fromSecData.map &&
+            this.fromSecData.map[id] !== this.toSecData.map[id]) {
+          if (this.hideRenumbering) {
+            node.textContent = this.toSecData.map[id];
+            node.classList.add("htmldiff-number-hidden");
+            node.setAttribute("title", `was ${this.fromSecData.map[id]}`);
+            return true;
+          }
+
+          const del = doc.createElement("del");
+          del.classList.add("htmldiff-del");
+          del.classList.add("htmldiff-change");
+          del.classList.add("htmldiff-number-change");
+          del.textContent = this.fromSecData.map[id];
+
+          const ins = doc.createElement("ins");
+          ins.classList.add("htmldiff-ins");
+          ins.classList.add("htmldiff-change");
+          ins.classList.add("htmldiff-number-change");
+          ins.textContent = this.toSecData.map[id];
+
+          node.textContent = "";
+          node.appendChild(del);
+          node.appendChild(ins);
+
+          return true;
+        }
+
+        if (id in this.toSecData.map) {
+          node.textContent = this.toSecData.map[id];
+        } else if (id in this.fromSecData.map) {
+          node.textContent = this.fromSecData.map[id];
+        } else {
+          return false;
+        }
+        return true;
+      }
+
+      if (type === "from") {
+        if (id in this.fromSecData.map) {
+          node.textContent = this.fromSecData.map[id];
+        } else {
+          return false;
+        }
+      } else {
+        if (id in this.toSecData.map) {
+          node.textContent = this.toSecData.map[id];
+        } else {
+          return false;
+        }
+      }
+
+      return true;
+    };
+
+    const nums = box.getElementsByClassName("excluded-secnum");
+    for (const node of [...nums]) {
+      const id = node.getAttribute("excluded-id");
+      if (fixup(node, id)) {
+        node.classList.remove("excluded-secnum");
+        node.removeAttribute("excluded-id");
+      } else {
+        result = false;
+      }
+    }
+
+    const caps = box.getElementsByClassName("excluded-caption-num");
+    for (const node of [...caps]) {
+      const id = node.getAttribute("excluded-id");
+      if (fixup(node, id)) {
+        node.classList.remove("excluded-caption-num");
+        node.removeAttribute("excluded-id");
+      } else {
+        result = false;
+      }
+    }
+
+    const refs = box.getElementsByClassName("excluded-xref");
+    for (const node of [...refs]) {
+      const id = node.getAttribute("excluded-id");
+      if (fixup(node, id)) {
+        node.classList.remove("excluded-xref");
+        node.removeAttribute("excluded-id");
+      } else {
+        result = false;
+      }
+    }
+
+    return result;
+  }
+}
+
+/* exported SectionsComparator */
+if (typeof module !== "undefined") {
+  module.exports = {
+    SectionsComparator,
+  };
+}
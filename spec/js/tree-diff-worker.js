@@ -0,0 +1,29 @@
+"use strict";
+
+/* global importScripts, LightDocument, HTMLTreeDiff, TreeDiff */
+importScripts("./light-dom.js?20261018-k", "./tree-diff.js?20261018-k");
+
+onmessage = msg => {
+  const request = msg.data.data;
+
+  let data;
+  if (request.type === "splitForDiff") {
+    const doc = new LightDocument();
+    const node1 = doc.createElement("div");
+    const node2 = doc.createElement("div");
+    node1.innerHTML = request.s1;
+    node2.innerHTML = request.s2;
+
+    HTMLTreeDiff.splitTrees(node1, node2);
+
+    data = [node1.innerHTML, node2.innerHTML];
+  } else {
+    const { nodeObj1, nodeObj2, options } = request;
+    data = new TreeDiff(options).diff(nodeObj1, nodeObj2);
+  }
+
+  postMessage({
+    data,
+    id: msg.data.id,
+  });
+};
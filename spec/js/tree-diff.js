@@ -0,0 +1,1493 @@
+"use strict";
+
+// Tree diff engine shared between the comparator page, the tree diff worker,
+// and Node scripts.
+//
+// Nothing here depends on browser window.  In Node, `LightDocument` in
+// `light-dom.js` provides the DOM subset used here.
+
+// `Node` is not available in worker and Node.
+const NodeType = {
+  COMMENT_NODE: 8,
+  ELEMENT_NODE: 1,
+  TEXT_NODE: 3,
+};
+
+// Insert list marker into list element.
+//
+// While creating diff, extra list element can be added.
+// In that case, the default CSS list marker is affected by the change.
+//
+// So, instead of using CSS list marker in the diff view, insert text list
+// marker in the list element.
+//
+// This code is based on
+// https://hg.mozilla.org/mozilla-central/raw-file/fffcb4bbc8b17a34f5fa5013418a8956d0fdcc7a/layout/generic/nsBulletFrame.cpp
+class ListMarkUtils {
+  static getListDepth(node) {
+    let depth = 0;
+    while (node && node.nodeType === NodeType.ELEMENT_NODE &&
+           node.nodeName.toLowerCase() !== "body") {
+      if (node.nodeName.toLowerCase() === "ol") {
+        depth++;
+      }
+      node = node.parentNode;
+    }
+    return depth;
+  }
+
+  static decimalToText(ordinal) {
+    return ordinal.toString(10);
+  }
+
+  static romanToText(ordinal, achars, bchars) {
+    if (ordinal < 1 || ordinal > 3999) {
+      this.decimalToText(ordinal);
+      return false;
+    }
+    let addOn;
+    const decStr = ordinal.toString(10);
+    const len = decStr.length;
+    let romanPos = len;
+    let result = "";
+
+    for (let i = 0; i < len; i++) {
+      const dp = decStr.substr(i, 1);
+      romanPos--;
+      addOn = "";
+      switch(dp) {
+        case "3":
+          addOn += achars[romanPos];
+          // FALLTHROUGH
+        case "2":
+          addOn += achars[romanPos];
+          // FALLTHROUGH
+        case "1":
+          addOn += achars[romanPos];
+          break;
+        case "4":
+          addOn += achars[romanPos];
+          // FALLTHROUGH
+        case "5": case "6":
+        case "7": case "8":
+          addOn += bchars[romanPos];
+          for (let n = 0; "5".charCodeAt(0) + n < dp.charCodeAt(0); n++) {
+            addOn += achars[romanPos];
+          }
+          break;
+        case "9":
+          addOn += achars[romanPos];
+          addOn += achars[romanPos+1];
+          break;
+        default:
+          break;
+      }
+      result += addOn;
+    }
+    return result;
+  }
+
+  static charListToText(ordinal, chars) {
+    const base = chars.length;
+    let buf = "";
+    if (ordinal < 1) {
+      return this.decimalToText(ordinal);
+    }
+    do {
+      ordinal--;
+      const cur = ordinal % base;
+      buf = chars.charAt(cur) + buf;
+      ordinal = Math.floor(ordinal / base);
+    } while (ordinal > 0);
+    return buf;
+  }
+
+  static toListMark(i, depth) {
+    if (depth === 1 || depth === 4) {
+      return this.decimalToText(i + 1);
+    }
+    if (depth === 2 || depth === 5) {
+      return this.charListToText(i + 1, "abcdefghijklmnopqrstuvwxyz");
+    }
+    if (depth === 3 || depth === 6) {
+      return this.romanToText(i + 1, "ixcm", "vld");
+    }
+
+    return this.decimalToText(i + 1);
+  }
+
+  static textify(box) {
+    for (const ol of box.getElementsByTagName("ol")) {
+      const depth = this.getListDepth(ol);
+
+      let i = 0;
+      for (const li of ol.children) {
+        if (li.nodeName.toLowerCase() !== "li") {
+          continue;
+        }
+
+        const mark = box.ownerDocument.createTextNode(`${this.toListMark(i, depth)}. `);
+        li.insertBefore(mark, li.firstChild);
+
+        i++;
+      }
+    }
+  }
+}
+
+// Calculate diff between 2 DOM tree.
+class HTMLTreeDiff {
+  // `options` is passed to `TreeDiff`.
+  constructor(options = {}) {
+    this.options = options;
+
+    this.blockNodes = new Set(
+      [
+        "div", "p", "pre",
+        "emu-annex", "emu-clause", "emu-figure",
+        "emu-note",
+        "figcaption", "figure",
+        "h1", "h2",
+        "ol", "ul", "li",
+        "dl", "dt", "dd",
+        "table", "thead", "tbody", "tr", "th", "td",
+      ]
+    );
+  }
+
+  // Insert list marker and remove excluded sections, to make the section's
+  // DOM tree ready for `diff`.
+  static prepareForDiff(box) {
+    ListMarkUtils.textify(box);
+
+    for (const div of [...box.getElementsByTagName("div")]) {
+      if (div.id && div.id.startsWith("excluded-")) {
+        div.textContent = "";
+      }
+    }
+  }
+
+  // Calculate diff between 2 DOM tree.
+  async diff(diffNode, node1, node2) {
+    this.addNumbering("1-", node1);
+    this.addNumbering("2-", node2);
+
+    await this.splitForDiff(node1, node2);
+
+    this.combineNodes(node1, "li");
+    this.combineNodes(node2, "li");
+
+    const nodeObj1 = this.DOMTreeToPlainObject(node1);
+    const nodeObj2 = this.DOMTreeToPlainObject(node2);
+
+    const diffNodeObj = await this.diffPlainObjects(nodeObj1, nodeObj2);
+
+    const tmp = this.plainObjectToDOMTree(diffNode.ownerDocument, diffNodeObj);
+    for (const child of [...tmp.childNodes]) {
+      diffNode.appendChild(child);
+    }
+
+    this.combineNodes(diffNode, "*");
+
+    this.swapInsDel(diffNode);
+
+    this.removeNumbering(diffNode);
+  }
+
+  // Convert DOM tree to object tree.
+  DOMTreeToPlainObject(node) {
+    const result = this.DOMElementToPlainObject(node);
+
+    for (const child of node.childNodes) {
+      if (child.nodeType === NodeType.TEXT_NODE) {
+        if (this.isUnnecessaryText(child)) {
+          continue;
+        }
+
+        result.textLength += this.compressSpaces(child.textContent).length;
+        this.splitTextInto(result.childNodes, child.textContent);
+        continue;
+      }
+
+      if (child.nodeType === NodeType.ELEMENT_NODE) {
+        const childObj = this.DOMTreeToPlainObject(child);
+        result.childNodes.push(childObj);
+        result.textLength += childObj.textLength;
+      }
+    }
+
+    return result;
+  }
+
+  compressSpaces(s) {
+    return s.replace(/\s+/, " ");
+  }
+
+  // Remove unnecessary whitespace texts that can confuse diff algorithm.
+  //
+  // Diff algorithm used here isn't good at finding diff in repeating
+  // structure, such as list element, separated by same whitespaces.
+  //
+  // Remove such whitespaces between each `li`, to reduce the confusion.
+  isUnnecessaryText(node) {
+    if (!/^[ \r\n\t]*$/.test(node.textContent)) {
+      return false;
+    }
+
+    if (node.previousSibling) {
+      if (node.previousSibling.nodeType === NodeType.COMMENT_NODE ||
+          this.isBlock(node.previousSibling)) {
+        return true;
+      }
+    }
+    if (node.nextSibling) {
+      if (node.nextSibling.nodeType === NodeType.COMMENT_NODE ||
+          this.isBlock(node.nextSibling)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  isBlock(node) {
+    const name = node.nodeName.toLowerCase();
+    return this.blockNodes.has(name);
+  }
+
+  // Convert single DOM element to object, without child nodes.
+  DOMElementToPlainObject(node) {
+    const attributes = {};
+    if (node.attributes) {
+      for (const attr of node.attributes) {
+        attributes[attr.name] = attr.value;
+      }
+    }
+
+    return this.createPlainObject(
+      node.nodeName.toLowerCase(), node.id, attributes);
+  }
+
+  // Create a plain object representation for an empty DOM element.
+  createPlainObject(name, id = undefined, attributes = {}) {
+    return {
+      attributes,
+      childNodes: [],
+      id,
+      name,
+      textLength: 0,
+    };
+  }
+
+  // Split text by whitespaces and punctuation, given that
+  // diff is performed on the tree of nodes, and text is the
+  // minimum unit.
+  //
+  // Whitespaces are appended to texts before it, instead of creating Text
+  // node with whitespace alone.
+  // This is necessary to avoid matching each whitespace in different sentence.
+  splitTextInto(childNodes, text) {
+    while (true) {
+      const spaceIndex = text.search(/\s[^\s]/);
+      const punctIndex = text.search(/[.,:;?!()[\]]/);
+      if (spaceIndex === -1 && punctIndex === -1) {
+        break;
+      }
+
+      if (punctIndex !== -1 && (spaceIndex === -1 || punctIndex < spaceIndex)) {
+        if (punctIndex > 0) {
+          childNodes.push(text.slice(0, punctIndex));
+        }
+        childNodes.push(text.slice(punctIndex, punctIndex + 1));
+        text = text.slice(punctIndex + 1);
+      } else {
+        childNodes.push(text.slice(0, spaceIndex + 1));
+        text = text.slice(spaceIndex + 1);
+      }
+    }
+    if (text) {
+      childNodes.push(text);
+    }
+  }
+
+  // Add unique ID ("tree-diff-num" attribute) to each element.
+  //
+  // See `splitForDiff` for more details.
+  addNumbering(prefix, node) {
+    let i = 0;
+    for (const child of node.getElementsByTagName("*")) {
+      child.setAttribute("tree-diff-num", prefix + i);
+      i++;
+    }
+  }
+
+  // Split both DOM tree, using text+path based LCS, to have similar tree
+  // structure.
+  //
+  // This is a workaround for the issue that raw tree LCS cannot handle
+  // split/merge.
+  //
+  // To solve the issue, split both tree by `splitForDiff` to make each text
+  // match even if parent tree gets split/merged.
+  //
+  // This caused another issue when `splitForDiff` split more than necessary
+  // (like, adding extra list element).
+  //
+  // Such nodes are combined in `combineNodes`, based on the unique ID
+  // added by `addNumbering`, and those IDs are removed in `removeNumbering`.
+  //
+  // Also, `LCSToDiff` always places `ins` after `del`, but `combineNodes` can
+  // merge 2 nodes where first one ends with `ins` and the second one starts
+  // with `del`. `swapInsDel` fixes up the order.
+  //
+  // This can be overridden to perform the calculation in worker.
+  async splitForDiff(node1, node2) {
+    HTMLTreeDiff.splitTrees(node1, node2);
+  }
+
+  // Split both DOM tree in place, so that text that is common between them
+  // has the same element boundaries on both side.
+  //
+  // Each tree is flattened into the list of words and empty elements, with
+  // the path from the root. The common words are found by LCS over the path
+  // and the text. Then, if one side has an element boundary between 2 common
+  // words, and the other side doesn't, the element on the other side is also
+  // split before the latter word, by cloning the element with the
+  // "tree-diff-num" attribute.
+  //
+  // This works with both browser DOM and `LightDocument`.
+  static splitTrees(node1, node2) {
+    const items1 = this.getPathItems(node1);
+    const items2 = this.getPathItems(node2);
+    const common = new TreeDiff().LCS(
+      items1.map(item => item.key), items2.map(item => item.key));
+
+    // Map from the index of the item to the depth of the element that should
+    // be split before the item.
+    const breaks1 = new Map();
+    const breaks2 = new Map();
+    for (let k = 1; k < common.length; k++) {
+      const [prev1, prev2] = common[k - 1];
+      const [next1, next2] = common[k];
+      const depth1 = this.getMinBreakDepth(items1, prev1, next1);
+      const depth2 = this.getMinBreakDepth(items2, prev2, next2);
+      if (depth2 < depth1) {
+        breaks1.set(next1, depth2);
+      } else if (depth1 < depth2) {
+        breaks2.set(next2, depth1);
+      }
+    }
+
+    this.rebuildTree(node1, items1, breaks1);
+    this.rebuildTree(node2, items2, breaks2);
+  }
+
+  // Returns the list of words, comments and empty elements in the tree, in the
+  // document order.
+  //
+  // Each item has the following properties:
+  //   path - the list of elements between `root` and the item, where the last
+  //          one is the empty element itself
+  //   text - the text of the word, or null
+  //   node - the comment node, or null
+  //   key  - a string that is same for items that can be matched
+  static getPathItems(root) {
+    const items = [];
+
+    const walk = (node, path, pathKey) => {
+      for (const child of node.childNodes) {
+        if (child.nodeType === NodeType.TEXT_NODE) {
+          for (const text of child.textContent.match(/\S+\s*|\s+/g) || []) {
+            items.push({
+              path,
+              text,
+              node: null,
+              key: `${pathKey}\u0000${text.trim()}`,
+            });
+          }
+          continue;
+        }
+
+        if (child.nodeType === NodeType.COMMENT_NODE) {
+          items.push({
+            path,
+            text: null,
+            node: child,
+            key: `${pathKey}\u0000<!---->`,
+          });
+          continue;
+        }
+
+        if (child.nodeType !== NodeType.ELEMENT_NODE) {
+          continue;
+        }
+
+        let name = child.nodeName.toLowerCase();
+        if (child.id) {
+          name += `#${child.id}`;
+        }
+        const childPath = path.concat([child]);
+        const childPathKey = `${pathKey}/${name}`;
+        if (!child.firstChild) {
+          items.push({
+            path: childPath,
+            text: null,
+            node: null,
+            key: childPathKey,
+          });
+          continue;
+        }
+        walk(child, childPath, childPathKey);
+      }
+    };
+    walk(root, [], "");
+
+    return items;
+  }
+
+  // Returns the depth of the outermost element boundary between
+  // `items[start]` and `items[end]`, or `Infinity` if there's no boundary.
+  static getMinBreakDepth(items, start, end) {
+    let depth = Infinity;
+    for (let i = start + 1; i <= end; i++) {
+      depth = Math.min(depth, this.getBreakDepth(items[i - 1], items[i]));
+    }
+    return depth;
+  }
+
+  // Returns the depth of the outermost element that differs between the
+  // paths of 2 items, or `Infinity` if both are in the same element.
+  static getBreakDepth(item1, item2) {
+    const length = Math.min(item1.path.length, item2.path.length);
+    for (let depth = 0; depth < length; depth++) {
+      if (item1.path[depth] !== item2.path[depth]) {
+        return depth;
+      }
+    }
+    if (item1.path.length !== item2.path.length) {
+      return length;
+    }
+    return Infinity;
+  }
+
+  // Replace the content of `root` with the items returned by
+  // `getPathItems`, splitting the elements before the items in `breaks`.
+  static rebuildTree(root, items, breaks) {
+    const doc = root.ownerDocument;
+
+    while (root.firstChild) {
+      root.firstChild.remove();
+    }
+
+    // The list of the original element and its clone, for the path of the
+    // last item.
+    const stack = [];
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i];
+      const breakDepth = breaks.has(i) ? breaks.get(i) : Infinity;
+
+      let depth = 0;
+      while (depth < stack.length && depth < item.path.length &&
+             depth < breakDepth && stack[depth].original === item.path[depth]) {
+        depth++;
+      }
+      stack.length = depth;
+
+      for (; depth < item.path.length; depth++) {
+        const parent = depth === 0 ? root : stack[depth - 1].clone;
+        const clone = parent.appendChild(item.path[depth].cloneNode(false));
+        stack.push({ original: item.path[depth], clone });
+      }
+
+      const parent = stack.length === 0 ? root : stack[stack.length - 1].clone;
+      if (item.node) {
+        parent.appendChild(item.node);
+      } else if (item.text !== null) {
+        const last = parent.lastChild;
+        if (last && last.nodeType === NodeType.TEXT_NODE) {
+          last.textContent += item.text;
+        } else {
+          parent.appendChild(doc.createTextNode(item.text));
+        }
+      }
+    }
+  }
+
+  // Calculate diff between 2 object trees.
+  //
+  // This can be overridden to perform the calculation in worker.
+  async diffPlainObjects(nodeObj1, nodeObj2) {
+    return new TreeDiff(this.options).diff(nodeObj1, nodeObj2);
+  }
+
+  // Convert object tree to DOM tree.
+  plainObjectToDOMTree(doc, nodeObj) {
+    if (typeof nodeObj === "string") {
+      return doc.createTextNode(nodeObj);
+    }
+
+    const result = doc.createElement(nodeObj.name);
+    for (const [key, value] of Object.entries(nodeObj.attributes)) {
+      result.setAttribute(key, value);
+    }
+    for (const child of nodeObj.childNodes) {
+      result.appendChild(this.plainObjectToDOMTree(doc, child));
+    }
+
+    return result;
+  }
+
+  // Combine adjacent nodes with same ID ("tree-diff-num" attribute) into one
+  //
+  // See `splitForDiff` for more details.
+  combineNodes(node, name) {
+    const removedNodes = new Set();
+
+    for (const child of [...node.getElementsByTagName(name)]) {
+      if (removedNodes.has(child)) {
+        continue;
+      }
+
+      if (!child.hasAttribute("tree-diff-num")) {
+        continue;
+      }
+
+      const num = child.getAttribute("tree-diff-num");
+      while (true) {
+        if (!child.nextSibling) {
+          break;
+        }
+
+        if (child.nextSibling.nodeType !== NodeType.ELEMENT_NODE) {
+          break;
+        }
+
+        const next = child.nextSibling;
+        if (next.getAttribute("tree-diff-num") !== num) {
+          break;
+        }
+
+        while (next.firstChild) {
+          child.appendChild(next.firstChild);
+        }
+
+        removedNodes.add(next);
+        next.remove();
+      }
+    }
+  }
+
+  // Swap `ins`+`del` to `del`+`ins`.
+  //
+  // See `splitForDiff` for more details.
+  swapInsDel(node) {
+    for (const child of [...node.getElementsByClassName("htmldiff-ins")]) {
+      if (!child.nextSibling) {
+        continue;
+      }
+
+      if (child.nextSibling.nodeType !== NodeType.ELEMENT_NODE) {
+        continue;
+      }
+
+      if (child.nextSibling.classList.contains("htmldiff-del")) {
+        child.before(child.nextSibling);
+      }
+    }
+  }
+
+  // Prefix the ids of the links between moved contents in the diff, which are
+  // unique only inside single diff, so that multiple diffs can be put into
+  // single page.
+  static prefixMoveIds(box, prefix) {
+    for (const link of box.getElementsByClassName("htmldiff-move-link")) {
+      link.id = link.id.replace(/^htmldiff-move-/, `htmldiff-move-${prefix}-`);
+      link.setAttribute("href", link.getAttribute("href").replace(
+        /^#htmldiff-move-/, `#htmldiff-move-${prefix}-`));
+    }
+  }
+
+  // Add "tree-diff-num" attribute from all elements.
+  //
+  // See `splitForDiff` for more details.
+  removeNumbering(node) {
+    for (const child of node.getElementsByTagName("*")) {
+      child.removeAttribute("tree-diff-num");
+    }
+  }
+}
+
+// Calculate diff between 2 object trees created by
+// `HTMLTreeDiff#DOMTreeToPlainObject`, and return an object tree with
+// `ins` and `del`.
+//
+// This doesn't touch DOM, and can run inside worker or Node.
+//
+// `options` can have the following properties:
+//   charDiff - mark changed characters inside modified word
+//   algDiff  - match algorithm steps by their content, ignoring the step
+//              number, and annotate renumbered steps instead of marking the
+//              number change
+class TreeDiff {
+  constructor(options = {}) {
+    this.charDiff = !!options.charDiff;
+    this.algDiff = !!options.algDiff;
+
+    // Elements that cannot be wrapped with `ins`/`del`.
+    // The element itself is kept, and its content is wrapped instead.
+    this.transparentNodes = new Set(["li", "dt", "dd"]);
+
+    // Elements that cannot be wrapped with `ins`/`del`, and the element itself
+    // is marked with `htmldiff-ins`/`htmldiff-del` class.
+    this.markedNodes = new Set([
+      "thead", "tbody", "tfoot", "tr", "th", "td",
+    ]);
+
+    // Table cells. Rows are aligned by the first cell (key column), and
+    // cells in the aligned rows are compared by position.
+    this.cellNodes = new Set(["td", "th"]);
+
+    // Grammar elements that are treated as a unit, and never modified partially.
+    // Each right-hand-side alternative is either kept, removed, or inserted,
+    // unless only the parameters and the modifiers of its nonterminals are
+    // changed.
+    this.atomicGrammarNodes = new Set([
+      "emu-t", "emu-gann", "emu-gprose", "emu-gmod",
+    ]);
+
+    // Elements for the parameters and the modifiers in grammar, which are
+    // ignored when matching right-hand-side alternatives.
+    this.grammarModifierNodes = new Set(["emu-mods", "emu-constraints"]);
+
+    // Threshold of the similarity for 2 elements to be treated as modified,
+    // instead of removed and inserted.
+    this.similarityThreshold = 0.5;
+
+    // Maximum length of the word that `charDiff` is performed.
+    this.maxCharDiffLength = 200;
+
+    // Maximum size of the LCS table.
+    // Larger input is treated as replacing everything, to avoid hang.
+    // `LCS` allocates 2 tables of this size.
+    this.maxLCSTableSize = 8 * 1024 * 1024;
+
+    // Minimum number of words for removed/inserted element to be detected as
+    // moved.
+    this.minMoveWords = 4;
+
+    this.keyCache = new Map();
+    this.wordsCache = new Map();
+
+    // The number for the next pair of links between moved contents.
+    // The ids are unique only inside this diff, and should be prefixed by
+    // `HTMLTreeDiff.prefixMoveIds` to put multiple diffs into single page.
+    this.nextMoveId = 0;
+
+    // Removed and inserted elements that can be a part of move.
+    // See `detectMoves`.
+    this.moveCandidates = {
+      del: [],
+      ins: [],
+    };
+  }
+
+  diff(nodeObj1, nodeObj2) {
+    const result = this.diffElement(nodeObj1, nodeObj2);
+    this.detectMoves();
+    return result;
+  }
+
+  // Calculate diff between 2 elements that are treated as same element.
+  // Attributes are taken from the latter.
+  diffElement(nodeObj1, nodeObj2) {
+    if (nodeObj2.name === "emu-nt") {
+      return this.diffNonterminal(nodeObj1, nodeObj2);
+    }
+    if (nodeObj2.name === "tr") {
+      return this.diffTableRow(nodeObj1, nodeObj2);
+    }
+
+    const result = this.cloneWithoutChildren(nodeObj2);
+
+    if (this.algDiff && nodeObj2.name === "li") {
+      const [marker1, childNodes1] = this.splitListMarker(nodeObj1);
+      const [marker2, childNodes2] = this.splitListMarker(nodeObj2);
+      if (marker1 && marker2) {
+        result.childNodes = this.renumberListMarker(marker1, marker2).concat(
+          this.diffChildNodes(childNodes1, childNodes2));
+        return result;
+      }
+    }
+
+    result.childNodes = this.diffChildNodes(
+      nodeObj1.childNodes, nodeObj2.childNodes);
+    return result;
+  }
+
+  // Calculate diff between 2 nonterminals with same name.
+  //
+  // The name is kept as is, and the parameters and the modifiers
+  // (`emu-mods`, e.g. "[Yield, Await]" or "opt") are marked as a unit.
+  diffNonterminal(nodeObj1, nodeObj2) {
+    const result = this.cloneWithoutChildren(nodeObj2);
+
+    const mods1 = nodeObj1.childNodes.find(c => c.name === "emu-mods");
+    const mods2 = nodeObj2.childNodes.find(c => c.name === "emu-mods");
+
+    result.childNodes = nodeObj2.childNodes.filter(c => c !== mods2);
+
+    if (!mods1 && !mods2) {
+      return result;
+    }
+
+    if (mods1 && mods2 && this.getKey(mods1) === this.getKey(mods2)) {
+      result.childNodes.push(mods2);
+      return result;
+    }
+
+    const mods = this.cloneWithoutChildren(mods2 || mods1);
+    if (mods1) {
+      this.toInsDel(mods.childNodes, mods1.childNodes, "del");
+    }
+    if (mods2) {
+      this.toInsDel(mods.childNodes, mods2.childNodes, "ins");
+    }
+    result.childNodes.push(mods);
+
+    return result;
+  }
+
+  // Returns the name of the nonterminal, without parameters and modifiers.
+  getNonterminalName(nodeObj) {
+    return this.getWords(Object.assign({}, nodeObj, {
+      childNodes: nodeObj.childNodes.filter(c => c.name !== "emu-mods"),
+    })).join(" ");
+  }
+
+  // Returns the words in the right-hand-side alternative, without parameters
+  // and modifiers.
+  getRHSWords(nodeObj) {
+    const words = [];
+    for (const child of nodeObj.childNodes) {
+      if (typeof child === "string") {
+        const word = child.trim();
+        if (word) {
+          words.push(word);
+        }
+      } else if (!this.grammarModifierNodes.has(child.name)) {
+        words.push(...this.getRHSWords(child));
+      }
+    }
+    return words;
+  }
+
+  // Calculate diff between 2 table rows with same key column.
+  //
+  // Cells are compared by position, and only changed cells are marked with
+  // `htmldiff-cell-change` class.
+  diffTableRow(nodeObj1, nodeObj2) {
+    const result = this.cloneWithoutChildren(nodeObj2);
+
+    const cells1 = nodeObj1.childNodes.filter(c => this.isCell(c));
+    let i = 0;
+    for (const child of nodeObj2.childNodes) {
+      if (!this.isCell(child)) {
+        result.childNodes.push(child);
+        continue;
+      }
+
+      if (i >= cells1.length) {
+        this.toInsDel(result.childNodes, [child], "ins");
+        continue;
+      }
+
+      const cell1 = cells1[i];
+      i++;
+      if (this.getKey(cell1) === this.getKey(child)) {
+        result.childNodes.push(child);
+        continue;
+      }
+
+      const cell = this.diffElement(cell1, child);
+      this.addClass(cell, "htmldiff-cell-change");
+      result.childNodes.push(cell);
+    }
+    this.toInsDel(result.childNodes, cells1.slice(i), "del");
+
+    return result;
+  }
+
+  isCell(nodeObj) {
+    return typeof nodeObj !== "string" && this.cellNodes.has(nodeObj.name);
+  }
+
+  // Returns the text of the first cell in the table row, or null if there's
+  // no cell.
+  getRowKey(nodeObj) {
+    const cell = nodeObj.childNodes.find(c => this.isCell(c));
+    if (!cell) {
+      return null;
+    }
+    return this.getWords(cell).join(" ");
+  }
+
+  diffChildNodes(nodes1, nodes2) {
+    const result = [];
+
+    const keys1 = nodes1.map(node => this.getDiffKey(node));
+    const keys2 = nodes2.map(node => this.getDiffKey(node));
+    const common = this.LCS(keys1, keys2);
+    common.push([nodes1.length, nodes2.length]);
+
+    let i = 0;
+    let j = 0;
+    for (const [ci, cj] of common) {
+      this.diffRange(result, nodes1.slice(i, ci), nodes2.slice(j, cj));
+      if (ci < nodes1.length) {
+        if (this.algDiff && nodes2[cj].name === "li") {
+          result.push(this.diffElement(nodes1[ci], nodes2[cj]));
+        } else {
+          result.push(nodes2[cj]);
+        }
+      }
+      i = ci + 1;
+      j = cj + 1;
+    }
+
+    return result;
+  }
+
+  // Calculate diff between 2 sequence of nodes, where no node exactly
+  // matches.
+  diffRange(result, removed, added) {
+    if (this.charDiff && removed.length === 1 && added.length === 1 &&
+        typeof removed[0] === "string" && typeof added[0] === "string") {
+      const [del, ins] = this.diffChars(removed[0], added[0]);
+      if (del) {
+        result.push(del, ins);
+        return;
+      }
+    }
+
+    const pairs = this.findSimilarPairs(removed, added);
+    pairs.push([removed.length, added.length]);
+
+    let i = 0;
+    let j = 0;
+    for (const [pi, pj] of pairs) {
+      this.toInsDel(result, removed.slice(i, pi), "del");
+      this.toInsDel(result, added.slice(j, pj), "ins");
+      if (pi < removed.length) {
+        result.push(this.diffElement(removed[pi], added[pj]));
+      }
+      i = pi + 1;
+      j = pj + 1;
+    }
+  }
+
+  // Find pairs of elements that should be treated as modified, keeping the
+  // order.
+  findSimilarPairs(removed, added) {
+    const pairs = [];
+    let start = 0;
+    for (let i = 0; i < removed.length; i++) {
+      for (let j = start; j < added.length; j++) {
+        if (this.isSimilar(removed[i], added[j])) {
+          pairs.push([i, j]);
+          start = j + 1;
+          break;
+        }
+      }
+    }
+    return pairs;
+  }
+
+  isSimilar(nodeObj1, nodeObj2) {
+    if (typeof nodeObj1 === "string" || typeof nodeObj2 === "string") {
+      return false;
+    }
+    if (nodeObj1.name !== nodeObj2.name) {
+      return false;
+    }
+    if (this.atomicGrammarNodes.has(nodeObj1.name)) {
+      return false;
+    }
+    if (nodeObj1.name === "emu-rhs") {
+      // The nonterminals in the alternative are compared by
+      // `diffNonterminal`.
+      return this.getRHSWords(nodeObj1).join(" ") ===
+        this.getRHSWords(nodeObj2).join(" ");
+    }
+    if (nodeObj1.name === "emu-production") {
+      return nodeObj1.attributes.name === nodeObj2.attributes.name;
+    }
+    if (nodeObj1.name === "tr") {
+      const key1 = this.getRowKey(nodeObj1);
+      const key2 = this.getRowKey(nodeObj2);
+      if (key1 && key2) {
+        return key1 === key2;
+      }
+    }
+    if (nodeObj1.name === "emu-nt") {
+      return this.getNonterminalName(nodeObj1) ===
+        this.getNonterminalName(nodeObj2);
+    }
+    if (nodeObj1.id && nodeObj2.id) {
+      return nodeObj1.id === nodeObj2.id;
+    }
+    if (this.isSingleWord(nodeObj1) && this.isSingleWord(nodeObj2)) {
+      // Treat the element as modified if only the text is changed, such as
+      // `<var>O</var>` and `<var>obj</var>`.
+      return this.getKey(this.cloneWithoutChildren(nodeObj1)) ===
+        this.getKey(this.cloneWithoutChildren(nodeObj2));
+    }
+    return this.getSimilarity(nodeObj1, nodeObj2) >= this.similarityThreshold;
+  }
+
+  // Returns the ratio of common words in 2 elements, between 0 and 1.
+  getSimilarity(nodeObj1, nodeObj2) {
+    const words1 = this.getWords(nodeObj1);
+    const words2 = this.getWords(nodeObj2);
+    if (words1.length === 0 && words2.length === 0) {
+      return 1;
+    }
+
+    const counts = new Map();
+    for (const word of words1) {
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+    let common = 0;
+    for (const word of words2) {
+      const count = counts.get(word);
+      if (count) {
+        common++;
+        counts.set(word, count - 1);
+      }
+    }
+
+    return 2 * common / (words1.length + words2.length);
+  }
+
+  // Returns whether the element contains only single word.
+  isSingleWord(nodeObj) {
+    return nodeObj.childNodes.length === 1 &&
+      typeof nodeObj.childNodes[0] === "string" &&
+      this.getWords(nodeObj).length === 1;
+  }
+
+  // Returns the list of non-whitespace text nodes in the element.
+  getWords(nodeObj) {
+    if (this.wordsCache.has(nodeObj)) {
+      return this.wordsCache.get(nodeObj);
+    }
+
+    const words = [];
+    for (const child of nodeObj.childNodes) {
+      if (typeof child === "string") {
+        const word = child.trim();
+        if (word) {
+          words.push(word);
+        }
+      } else {
+        words.push(...this.getWords(child));
+      }
+    }
+
+    this.wordsCache.set(nodeObj, words);
+    return words;
+  }
+
+  // Returns a string that is same for nodes that are matched in
+  // `diffChildNodes`.
+  getDiffKey(nodeObj) {
+    if (this.algDiff) {
+      return this.getStepKey(nodeObj);
+    }
+    return this.getKey(nodeObj);
+  }
+
+  // Returns a string that is same for nodes that are treated as same.
+  getKey(nodeObj) {
+    if (typeof nodeObj === "string") {
+      // The trailing whitespace differs when `splitForDiff` splits the
+      // element after the word.
+      return `t:${nodeObj.replace(/\s+/g, " ").replace(/ $/, "")}`;
+    }
+
+    if (this.keyCache.has(nodeObj)) {
+      return this.keyCache.get(nodeObj);
+    }
+
+    const attrs = Object.keys(nodeObj.attributes)
+      .filter(name => name !== "tree-diff-num")
+      // The id of the right-hand-side is generated for each build.
+      .filter(name => !(nodeObj.name === "emu-rhs" && name === "id"))
+      .sort()
+      .map(name => `${name}=${nodeObj.attributes[name]}`)
+      .join(" ");
+    const children = nodeObj.childNodes.map(child => this.getKey(child));
+    const key = `e:${nodeObj.name} ${attrs}[${children.join("\u0000")}]`;
+
+    this.keyCache.set(nodeObj, key);
+    return key;
+  }
+
+  // Returns the list of the index pairs of the longest common subsequence.
+  //
+  // If there are multiple longest common subsequences, such as when 2 items
+  // are swapped around an unchanged item, the one with the smallest total
+  // distance between the positions of the matched items is returned, so
+  // that the unchanged items are kept in place, instead of the swapped ones.
+  LCS(seq1, seq2) {
+    let prefix = 0;
+    while (prefix < seq1.length && prefix < seq2.length &&
+           seq1[prefix] === seq2[prefix]) {
+      prefix++;
+    }
+
+    let suffix = 0;
+    while (suffix < seq1.length - prefix && suffix < seq2.length - prefix &&
+           seq1[seq1.length - 1 - suffix] === seq2[seq2.length - 1 - suffix]) {
+      suffix++;
+    }
+
+    const result = [];
+    for (let i = 0; i < prefix; i++) {
+      result.push([i, i]);
+    }
+
+    const len1 = seq1.length - prefix - suffix;
+    const len2 = seq2.length - prefix - suffix;
+    const width = len2 + 1;
+    if (len1 > 0 && len2 > 0 && (len1 + 1) * width <= this.maxLCSTableSize) {
+      // lengths[i * width + j] is the length of LCS of seq1[i..] and
+      // seq2[j..], in the middle part, and distances[i * width + j] is the
+      // total distance of the matched items in it.
+      const lengths = new Uint32Array((len1 + 1) * width);
+      const distances = new Uint32Array((len1 + 1) * width);
+
+      // Returns true if the LCS with `length` and `distance` is better than
+      // the one at `index`.
+      const isBetter = (length, distance, index) => {
+        return length > lengths[index] ||
+          (length === lengths[index] && distance < distances[index]);
+      };
+
+      for (let i = len1 - 1; i >= 0; i--) {
+        for (let j = len2 - 1; j >= 0; j--) {
+          const index = i * width + j;
+          const down = (i + 1) * width + j;
+          const right = index + 1;
+
+          lengths[index] = lengths[down];
+          distances[index] = distances[down];
+          if (isBetter(lengths[right], distances[right], index)) {
+            lengths[index] = lengths[right];
+            distances[index] = distances[right];
+          }
+
+          if (seq1[prefix + i] === seq2[prefix + j]) {
+            const next = down + 1;
+            const length = lengths[next] + 1;
+            const distance = distances[next] + Math.abs(i - j);
+            if (isBetter(length, distance, index)) {
+              lengths[index] = length;
+              distances[index] = distance;
+            }
+          }
+        }
+      }
+
+      let i = 0;
+      let j = 0;
+      while (i < len1 && j < len2) {
+        const index = i * width + j;
+        const next = (i + 1) * width + j + 1;
+        const down = (i + 1) * width + j;
+        if (seq1[prefix + i] === seq2[prefix + j] &&
+            lengths[next] + 1 === lengths[index] &&
+            distances[next] + Math.abs(i - j) === distances[index]) {
+          result.push([prefix + i, prefix + j]);
+          i++;
+          j++;
+        } else if (lengths[down] === lengths[index] &&
+                   distances[down] === distances[index]) {
+          i++;
+        } else {
+          j++;
+        }
+      }
+    }
+
+    for (let i = suffix; i > 0; i--) {
+      result.push([seq1.length - i, seq2.length - i]);
+    }
+
+    return result;
+  }
+
+  // Calculate diff between characters in 2 words, and returns `del` and `ins`
+  // with changed characters marked with `htmldiff-char` class.
+  //
+  // Returns `[null, null]` if the words are too different.
+  diffChars(word1, word2) {
+    if (word1.length > this.maxCharDiffLength ||
+        word2.length > this.maxCharDiffLength) {
+      return [null, null];
+    }
+
+    const common = this.LCS(word1.split(""), word2.split(""));
+
+    // Marking most characters doesn't help.
+    const minLength = Math.min(word1.trim().length, word2.trim().length);
+    if (common.length === 0 || common.length * 2 < minLength) {
+      return [null, null];
+    }
+
+    const del = this.createInsDel("del");
+    const ins = this.createInsDel("ins");
+    this.markChars(del.childNodes, word1, common.map(([i, _j]) => i));
+    this.markChars(ins.childNodes, word2, common.map(([_i, j]) => j));
+    return [del, ins];
+  }
+
+  // Append `word` to `result`, with the characters not included in `common`
+  // indices wrapped with `htmldiff-char` span.
+  markChars(result, word, common) {
+    const commonSet = new Set(common);
+
+    const segments = [];
+    let start = 0;
+    while (start < word.length) {
+      const isCommon = commonSet.has(start);
+      let end = start + 1;
+      while (end < word.length && commonSet.has(end) === isCommon) {
+        end++;
+      }
+      segments.push({ isCommon, text: word.slice(start, end) });
+      start = end;
+    }
+
+    // Single common character between changes is noisy, such as "l" in
+    // "Field" and "Element".  Treat it as a part of the change.
+    for (let i = 1; i < segments.length - 1; i++) {
+      if (segments[i].isCommon && segments[i].text.length < 2) {
+        segments[i].isCommon = false;
+      }
+    }
+
+    let changed = "";
+    for (const { isCommon, text } of segments) {
+      if (!isCommon) {
+        changed += text;
+        continue;
+      }
+
+      if (changed) {
+        result.push(this.createCharChange(changed));
+        changed = "";
+      }
+      result.push(text);
+    }
+    if (changed) {
+      result.push(this.createCharChange(changed));
+    }
+  }
+
+  createCharChange(text) {
+    return {
+      attributes: {
+        class: "htmldiff-char",
+      },
+      childNodes: [text],
+      id: undefined,
+      name: "span",
+      textLength: text.length,
+    };
+  }
+
+  // Append `nodes` to `result`, as inserted or removed content.
+  //
+  // `type` is either "ins" or "del".
+  toInsDel(result, nodes, type) {
+    let wrapper = null;
+    for (const node of nodes) {
+      if (typeof node !== "string" &&
+          (this.transparentNodes.has(node.name) ||
+           this.markedNodes.has(node.name))) {
+        wrapper = null;
+
+        const marked = this.cloneWithoutChildren(node);
+        this.addMoveCandidate(node, marked, type);
+        result.push(marked);
+
+        if (this.markedNodes.has(node.name)) {
+          // The content is not marked again, so that an inserted or removed
+          // row is counted once.
+          this.addClass(marked, `htmldiff-${type}`, "htmldiff-change");
+          marked.childNodes = node.childNodes;
+          continue;
+        }
+
+        if (this.algDiff && node.name === "li") {
+          this.addClass(marked, `htmldiff-step-${type}`);
+        }
+        this.toInsDel(marked.childNodes, node.childNodes, type);
+        continue;
+      }
+
+      if (typeof node !== "string" && this.isMovable(node)) {
+        // Wrap separately, so that it can be converted to move.
+        wrapper = this.createInsDel(type);
+        wrapper.childNodes.push(node);
+        result.push(wrapper);
+        this.addMoveCandidate(node, wrapper, type);
+        wrapper = null;
+        continue;
+      }
+
+      if (!wrapper) {
+        wrapper = this.createInsDel(type);
+        result.push(wrapper);
+      }
+      wrapper.childNodes.push(node);
+    }
+  }
+
+  isMovable(nodeObj) {
+    return this.getWords(nodeObj).length >= this.minMoveWords;
+  }
+
+  // Record removed or inserted element, with the corresponding object in the
+  // result tree.
+  addMoveCandidate(nodeObj, resultObj, type) {
+    if (!this.isMovable(nodeObj)) {
+      return;
+    }
+
+    this.moveCandidates[type].push({
+      key: this.getStepKey(nodeObj),
+      nodeObj,
+      resultObj,
+    });
+  }
+
+  // Returns a string that is same for nodes that are same except for the
+  // list marker inserted by `ListMarkUtils.textify`, which is changed when
+  // the list element moves, or other steps are inserted or removed.
+  getStepKey(nodeObj) {
+    if (typeof nodeObj === "string" || nodeObj.name !== "li") {
+      return this.getKey(nodeObj);
+    }
+
+    const [_marker, childNodes] = this.splitListMarker(nodeObj);
+    return this.getKey(Object.assign({}, nodeObj, { childNodes }));
+  }
+
+  // Split the list marker inserted by `ListMarkUtils.textify` from the
+  // list element's child nodes.
+  //
+  // Returns the list marker (e.g. "1", "a", "iv") or null, and the rest of the
+  // child nodes.
+  splitListMarker(nodeObj) {
+    const childNodes = nodeObj.childNodes;
+    if (childNodes.length >= 3 &&
+        typeof childNodes[0] === "string" &&
+        /^[0-9a-z]+$/.test(childNodes[0]) &&
+        childNodes[1] === "." &&
+        childNodes[2] === " ") {
+      return [childNodes[0], childNodes.slice(3)];
+    }
+    return [null, childNodes];
+  }
+
+  // Returns the child nodes for the list marker, with the annotation for the
+  // old marker if it's changed.
+  renumberListMarker(marker1, marker2) {
+    if (marker1 === marker2) {
+      return [marker2, ".", " "];
+    }
+
+    return [{
+      attributes: {
+        class: "htmldiff-renumber",
+        "data-from": marker1,
+        title: `renumbered from ${marker1}.`,
+      },
+      childNodes: [marker2],
+      id: undefined,
+      name: "span",
+      textLength: marker2.length,
+    }, ".", " "];
+  }
+
+  // Find pairs of removed and inserted elements with same content, and
+  // convert them into move, with links between the source and the
+  // destination.
+  detectMoves() {
+    const inserted = new Map();
+    for (const candidate of this.moveCandidates.ins) {
+      if (!inserted.has(candidate.key)) {
+        inserted.set(candidate.key, []);
+      }
+      inserted.get(candidate.key).push(candidate);
+    }
+
+    // Elements inside already moved element.
+    const moved = new Set();
+
+    // Larger element first, so that elements inside moved element aren't
+    // handled separately.
+    const removed = this.moveCandidates.del.slice().sort((a, b) => {
+      return this.getWords(b.nodeObj).length - this.getWords(a.nodeObj).length;
+    });
+
+    for (const from of removed) {
+      if (moved.has(from.nodeObj) || !inserted.has(from.key)) {
+        continue;
+      }
+
+      const to = inserted.get(from.key).find(c => !moved.has(c.nodeObj));
+      if (!to) {
+        continue;
+      }
+
+      this.addDescendants(moved, from.nodeObj);
+      this.addDescendants(moved, to.nodeObj);
+
+      const id = this.nextMoveId++;
+      this.convertToMove(from.resultObj, "del", "from",
+                         `htmldiff-move-${id}-from`, `#htmldiff-move-${id}-to`);
+      this.convertToMove(to.resultObj, "ins", "to",
+                         `htmldiff-move-${id}-to`, `#htmldiff-move-${id}-from`);
+    }
+  }
+
+  addDescendants(set, nodeObj) {
+    set.add(nodeObj);
+    for (const child of nodeObj.childNodes) {
+      if (typeof child !== "string") {
+        this.addDescendants(set, child);
+      }
+    }
+  }
+
+  // Replace `htmldiff-ins`/`htmldiff-del` class in the result object with
+  // `htmldiff-move-from`/`htmldiff-move-to`, and add a link to the other side.
+  //
+  // `type` is either "ins" or "del", and `direction` is either "from" or "to".
+  convertToMove(resultObj, type, direction, id, href) {
+    let linkParent = null;
+
+    const convert = nodeObj => {
+      const classes = (nodeObj.attributes.class || "").split(/\s+/);
+      const index = classes.indexOf(`htmldiff-${type}`);
+      if (index !== -1) {
+        classes[index] = `htmldiff-move-${direction}`;
+        nodeObj.attributes.class = classes.join(" ");
+
+        if (!linkParent && (nodeObj.name === "ins" || nodeObj.name === "del")) {
+          linkParent = nodeObj;
+        }
+      }
+
+      for (const child of nodeObj.childNodes) {
+        if (typeof child !== "string") {
+          convert(child);
+        }
+      }
+    };
+    convert(resultObj);
+
+    if (!linkParent) {
+      return;
+    }
+
+    linkParent.childNodes.unshift({
+      attributes: {
+        class: "htmldiff-move-link",
+        href,
+        id,
+      },
+      childNodes: [direction === "from" ? "moved to" : "moved from"],
+      id,
+      name: "a",
+      textLength: 0,
+    });
+  }
+
+  createInsDel(type) {
+    return {
+      attributes: {
+        class: `htmldiff-${type} htmldiff-change`,
+      },
+      childNodes: [],
+      id: undefined,
+      name: type,
+      textLength: 0,
+    };
+  }
+
+  cloneWithoutChildren(nodeObj) {
+    return {
+      attributes: Object.assign({}, nodeObj.attributes),
+      childNodes: [],
+      id: nodeObj.id,
+      name: nodeObj.name,
+      textLength: nodeObj.textLength,
+    };
+  }
+
+  addClass(nodeObj, ...names) {
+    const classes = (nodeObj.attributes.class || "").split(/\s+/)
+          .filter(name => name);
+    for (const name of names) {
+      if (!classes.includes(name)) {
+        classes.push(name);
+      }
+    }
+    nodeObj.attributes.class = classes.join(" ");
+  }
+}
+
+// Calculate diff between 2 section HTML, without browser.
+//
+// `fromHTML` and `toHTML` are the `html` of `sections.json` entries, or `null`
+// if the section doesn't exist in that revision.
+//
+// `options` is passed to `TreeDiff`.
+//
+// Returns the HTML of the diff, with `htmldiff-ins`/`htmldiff-del`.
+async function diffSectionHTML(fromHTML, toHTML, options = {}) {
+  const { LightDocument } = require("./light-dom.js");
+
+  const doc = new LightDocument();
+  const box = doc.createElement("div");
+  const boxFrom = doc.createElement("div");
+  const boxTo = doc.createElement("div");
+
+  if (fromHTML !== null) {
+    boxFrom.innerHTML = fromHTML;
+    HTMLTreeDiff.prepareForDiff(boxFrom);
+  }
+
+  if (toHTML !== null) {
+    boxTo.innerHTML = toHTML;
+    HTMLTreeDiff.prepareForDiff(boxTo);
+  }
+
+  await new HTMLTreeDiff(options).diff(box, boxFrom, boxTo);
+
+  return box.innerHTML;
+}
+
+/* exported NodeType, ListMarkUtils, HTMLTreeDiff, TreeDiff */
+if (typeof module !== "undefined") {
+  module.exports = {
+    HTMLTreeDiff,
+    ListMarkUtils,
+    NodeType,
+    TreeDiff,
+    diffSectionHTML,
+  };
+}
@@ -0,0 +1,193 @@
+"use strict";
+
+// In-memory implementation of the subset of IndexedDB that `DiffCache` uses.
+//
+// Each request succeeds asynchronously in the order of the call, and the
+// transaction completes after all of its requests.
+//
+// `requestCount` counts the requests for each method, such as "count".
+
+class FakeRequest {
+  constructor() {
+    this.result = undefined;
+    this.onsuccess = null;
+  }
+}
+
+class FakeTransaction {
+  constructor(db) {
+    this.db = db;
+    this.pending = 0;
+    this.oncomplete = null;
+    this.onerror = null;
+    this.onabort = null;
+  }
+
+  objectStore(name) {
+    return new FakeObjectStore(this, this.db.stores.get(name));
+  }
+
+  // Run `callback` asynchronously, and set its result to the request.
+  request(method, callback) {
+    const request = this.createRequest(method);
+    this.schedule(() => {
+      request.result = callback();
+      if (request.onsuccess) {
+        request.onsuccess();
+      }
+    });
+    return request;
+  }
+
+  createRequest(method) {
+    const requestCount = this.db.factory.requestCount;
+    requestCount[method] = (requestCount[method] || 0) + 1;
+    return new FakeRequest();
+  }
+
+  schedule(callback) {
+    this.pending++;
+    setImmediate(() => {
+      callback();
+      this.pending--;
+      if (this.pending === 0) {
+        setImmediate(() => {
+          if (this.pending === 0 && this.oncomplete) {
+            this.oncomplete();
+          }
+        });
+      }
+    });
+  }
+}
+
+class FakeObjectStore {
+  constructor(tx, data) {
+    this.tx = tx;
+    this.data = data;
+  }
+
+  createIndex(name, keyPath) {
+    this.data.indexes.set(name, keyPath);
+  }
+
+  get(key) {
+    return this.tx.request("get", () => this.data.entries.get(key));
+  }
+
+  put(value) {
+    return this.tx.request("put", () => {
+      this.data.entries.set(value[this.data.keyPath], value);
+      return value[this.data.keyPath];
+    });
+  }
+
+  count(key) {
+    return this.tx.request("count", () => {
+      if (key === undefined) {
+        return this.data.entries.size;
+      }
+      return this.data.entries.has(key) ? 1 : 0;
+    });
+  }
+
+  clear() {
+    return this.tx.request("clear", () => {
+      this.data.entries.clear();
+    });
+  }
+
+  openCursor() {
+    return this.openCursorWithKey(this.data.keyPath);
+  }
+
+  index(name) {
+    return {
+      openCursor: () => this.openCursorWithKey(this.data.indexes.get(name)),
+    };
+  }
+
+  // Iterate over the entries sorted by `keyPath`.
+  openCursorWithKey(keyPath) {
+    const values = Array.from(this.data.entries.values()).sort((a, b) => {
+      if (a[keyPath] === b[keyPath]) {
+        return 0;
+      }
+      return a[keyPath] < b[keyPath] ? -1 : 1;
+    });
+
+    let i = 0;
+    const request = this.tx.createRequest("openCursor");
+    const next = () => {
+      const value = values[i];
+      request.result = value ? {
+        value,
+        delete: () => {
+          this.data.entries.delete(value[this.data.keyPath]);
+        },
+        continue: () => {
+          i++;
+          this.tx.schedule(next);
+        },
+      } : null;
+      if (request.onsuccess) {
+        request.onsuccess();
+      }
+    };
+    this.tx.schedule(next);
+    return request;
+  }
+}
+
+class FakeDatabase {
+  constructor(factory) {
+    this.factory = factory;
+    this.stores = new Map();
+  }
+
+  createObjectStore(name, { keyPath }) {
+    const data = {
+      entries: new Map(),
+      indexes: new Map(),
+      keyPath,
+    };
+    this.stores.set(name, data);
+    return new FakeObjectStore(null, data);
+  }
+
+  transaction(name) {
+    if (!this.stores.has(name)) {
+      throw new Error(`No object store: ${name}`);
+    }
+    return new FakeTransaction(this);
+  }
+}
+
+class FakeIndexedDB {
+  constructor() {
+    this.databases = new Map();
+    this.requestCount = {};
+  }
+
+  open(name) {
+    const request = new FakeRequest();
+    setImmediate(() => {
+      let db = this.databases.get(name);
+      if (!db) {
+        db = new FakeDatabase(this);
+        this.databases.set(name, db);
+        request.result = db;
+        if (request.onupgradeneeded) {
+          request.onupgradeneeded();
+        }
+      }
+      request.result = db;
+      request.onsuccess();
+    });
+    return request;
+  }
+}
+
+module.exports = {
+  FakeIndexedDB,
+};
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+"use strict";
+
+// Run all tests in `test/test-*.js`.
+//
+// Each test file exports an object whose properties are test functions,
+// which may return a promise.
+
+const fs = require("fs");
+const path = require("path");
+
+async function main() {
+  const files = fs.readdirSync(__dirname)
+    .filter(name => /^test-.*\.js$/.test(name))
+    .sort();
+
+  let passed = 0;
+  let failed = 0;
+  for (const file of files) {
+    const tests = require(path.join(__dirname, file));
+    for (const name of Object.keys(tests)) {
+      try {
+        await tests[name]();
+        passed++;
+      } catch (e) {
+        failed++;
+        console.log(`FAIL ${file}: ${name}`);
+        console.log(e.stack);
+      }
+    }
+  }
+
+  console.log(`${passed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(e => {
+  console.error(e.stack);
+  process.exitCode = 1;
+});
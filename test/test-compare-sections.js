@@ -0,0 +1,151 @@
+"use strict";
+
+const assert = require("assert");
+const { execFileSync } = require("child_process");
+const path = require("path");
+
+const SCRIPT = path.join(__dirname, "..", "tools", "compare-sections.js");
+const HISTORY = path.join(__dirname, "fixtures", "history");
+
+function run(...args) {
+  return execFileSync(process.execPath, [SCRIPT, "--history", HISTORY, ...args], {
+    encoding: "utf-8",
+  });
+}
+
+module.exports = {
+  sectionList() {
+    assert.strictEqual(run("base", "changed"), [
+      "+  2 New",
+      "-+ 2 PrivateFieldGet ( P, O )",
+      "-  4 Removed",
+      "3 sections differ",
+      "",
+    ].join("\n"));
+  },
+
+  stat() {
+    assert.strictEqual(run("--stat", "base", "changed"), [
+      "+  2 New (\u2248 +3 -0) [prose]",
+      "-+ 2 PrivateFieldGet ( P, O ) (\u2248 +8 -3) [algorithm, prose]",
+      "-  4 Removed (\u2248 +0 -2) [prose]",
+      "3 sections differ",
+      "",
+    ].join("\n"));
+  },
+
+  renamedSection() {
+    assert.strictEqual(run("changed", "renamed"), [
+      "-+ 3 PrivateGet ( P, O )",
+      "-> 4 Other",
+      "2 sections differ",
+      "",
+    ].join("\n"));
+
+    const output = run("--diff", "--format", "text", "changed", "renamed");
+    assert.ok(output.includes("This section is referred from the abstract operation {+above+}."));
+  },
+
+  normative() {
+    // The renamed section is included for the change in prose, and the
+    // section only with the change in the xref is excluded.
+    assert.strictEqual(run("--normative", "--stat", "changed", "renamed"), [
+      "-> 4 Other (\u2248 +1 -0) [prose]",
+      "1 section differs",
+      "",
+    ].join("\n"));
+  },
+
+  abstractOperations() {
+    assert.strictEqual(run("--aos", "base", "changed"), [
+      "-> PrivateFieldGet ( P, O ) -> PrivateGet ( P, O ) #sec-privatefieldget",
+      "1 abstract operation changed",
+      "",
+    ].join("\n"));
+    assert.strictEqual(run("--aos", "changed", "signature"), [
+      "-+ PrivateGet ( P, O ) -> PrivateGet ( P, O, receiver ) #sec-privatefieldget",
+      "1 abstract operation changed",
+      "",
+    ].join("\n"));
+    // Renamed operation with different parameters is reported as renamed.
+    assert.strictEqual(run("--aos", "base", "signature"), [
+      "-> PrivateFieldGet ( P, O ) -> PrivateGet ( P, O, receiver ) #sec-privatefieldget",
+      "1 abstract operation changed",
+      "",
+    ].join("\n"));
+    assert.strictEqual(run("--aos", "changed", "renamed"),
+                       "0 abstract operations changed\n");
+  },
+
+  xrefs() {
+    assert.strictEqual(run("--xrefs", "changed", "renamed"), [
+      "-> 4 Other",
+      "     -+ 3 PrivateGet ( P, O )",
+      "",
+    ].join("\n"));
+  },
+
+  hideRenumbering() {
+    const sections = output => output.split(/^<!-- (.+) -->$/m);
+
+    const diff = sections(run("--diff", "base", "changed"));
+    assert.ok(diff[4].includes(
+      "<span class=\"secnum\">" +
+        "<del class=\"htmldiff-del htmldiff-change htmldiff-number-change\">2</del>" +
+        "<ins class=\"htmldiff-ins htmldiff-change htmldiff-number-change\">3</ins></span>"));
+
+    // Sections renumbered only by the inserted section show the new number.
+    const hidden = sections(run("--diff", "--hide-renumbering", "base", "changed"));
+    assert.strictEqual(hidden[3], "sec-privatefieldget");
+    assert.ok(!hidden[4].includes("htmldiff-number-change"));
+    assert.ok(hidden[4].includes(
+      "<span class=\"secnum htmldiff-number-hidden\" title=\"was 2\">3</span>"));
+    assert.ok(hidden[4].includes(
+      "<a href=\"#sec-other\" class=\"htmldiff-number-hidden\" title=\"was 3\">4</a>"));
+  },
+
+  sameRevision() {
+    assert.strictEqual(run("base", "base"),
+                       "No difference (changes in markup or something)\n");
+  },
+
+  sectionsJSONPath() {
+    const file = path.join(HISTORY, "changed", "sections.json");
+    assert.strictEqual(run("base", file), run("base", "changed"));
+  },
+
+  textDiff() {
+    const output = run("--diff", "--format", "text", "base", "changed");
+    assert.ok(output.includes("{+New section.+}"));
+    assert.ok(output.includes("[-PrivateFieldFind-]{+PrivateElementFind+}"));
+    assert.ok(output.includes("{+3. Assert: entry is a field.+}"));
+    assert.ok(output.includes("[-Bye.-]"));
+  },
+
+  markdownDiff() {
+    const output = run("--diff", "--format", "markdown", "base", "changed");
+    assert.ok(output.includes("### 2 New\n\n**+New section.+**\n"));
+    assert.ok(output.includes("~~-Bye.-~~"));
+  },
+
+  json() {
+    const report = JSON.parse(run("--json", "base", "changed"));
+    assert.strictEqual(report.from, "base");
+    assert.strictEqual(report.to, "changed");
+
+    const modified = report.sections.find(
+      section => section.id === "sec-privatefieldget");
+    assert.ok(modified.changes.some(
+      change => change.type === "ins" &&
+        change.text === "3. Assert: entry is a field." &&
+        change.path.join(" ") === "emu-clause#sec-privatefieldget emu-alg ol li"));
+  },
+
+  missingRevision() {
+    assert.throws(() => {
+      execFileSync(process.execPath, [SCRIPT, "--history", HISTORY, "base", "none"], {
+        stdio: "pipe",
+      });
+    }, /is not found/);
+  },
+};
@@ -0,0 +1,88 @@
+"use strict";
+
+const assert = require("assert");
+
+const { DiffCache } = require("../spec/js/diff-cache.js");
+const { FakeIndexedDB } = require("./fake-indexeddb.js");
+
+module.exports = {
+  async getAndPut() {
+    const cache = new DiffCache(new FakeIndexedDB());
+    const key = cache.createKey("aaa", "bbb", "sec-a", "diff:tree");
+    assert.strictEqual(key, "aaa|bbb|sec-a|diff:tree");
+
+    assert.strictEqual(await cache.get(key), null);
+    await cache.put(key, "<p>a</p>");
+    assert.strictEqual(await cache.get(key), "<p>a</p>");
+    await cache.put(key, "<p>b</p>");
+    assert.strictEqual(await cache.get(key), "<p>b</p>");
+    assert.strictEqual(await cache.count(), 1);
+  },
+
+  async countIsUpdatedIncrementally() {
+    const factory = new FakeIndexedDB();
+    const cache = new DiffCache(factory);
+    for (let i = 0; i < 10; i++) {
+      await cache.put(cache.createKey("aaa", "bbb", `sec-${i}`, "diff"), "x");
+    }
+    await cache.put(cache.createKey("aaa", "bbb", "sec-0", "diff"), "y");
+    assert.strictEqual(await cache.count(), 10);
+
+    // All entries are counted only once, and each write checks only the
+    // entry for the key.
+    assert.strictEqual(factory.requestCount.count, 12);
+  },
+
+  async removeOldest() {
+    const cache = new DiffCache(new FakeIndexedDB());
+    cache.MAX_ENTRIES = 3;
+
+    const keys = [];
+    for (let i = 0; i < 5; i++) {
+      const key = cache.createKey("aaa", "bbb", `sec-${i}`, "diff");
+      keys.push(key);
+      await cache.put(key, "x");
+      // Make sure the date differs.
+      await new Promise(resolve => setTimeout(resolve, 2));
+    }
+
+    assert.strictEqual(await cache.count(), 3);
+    assert.strictEqual(await cache.get(keys[0]), null);
+    assert.strictEqual(await cache.get(keys[1]), null);
+    assert.strictEqual(await cache.get(keys[4]), "x");
+
+    // The count is same as the actual entries.
+    assert.strictEqual(await new DiffCache(cache.factory).count(), 3);
+  },
+
+  async revisionPairs() {
+    const cache = new DiffCache(new FakeIndexedDB());
+    await cache.put(cache.createKey("aaa", "bbb", "sec-a", "diff"), "12345");
+    await cache.put(cache.createKey("aaa", "bbb", "sec-b", "diff"), "123");
+    await new Promise(resolve => setTimeout(resolve, 2));
+    await cache.put(cache.createKey("PR/1/ccc", "PR/2/ddd", "sec-a", "three-way"), "1");
+
+    const pairs = await cache.getRevisionPairs();
+    assert.deepStrictEqual(
+      pairs.map(({ from, to, count, size }) => ({ from, to, count, size })), [
+        { from: "PR/1/ccc", to: "PR/2/ddd", count: 1, size: 1 },
+        { from: "aaa", to: "bbb", count: 2, size: 8 },
+      ]);
+  },
+
+  async clear() {
+    const cache = new DiffCache(new FakeIndexedDB());
+    await cache.put(cache.createKey("aaa", "bbb", "sec-a", "diff"), "x");
+    await cache.clear();
+    assert.strictEqual(await cache.count(), 0);
+    assert.deepStrictEqual(await cache.getRevisionPairs(), []);
+  },
+
+  async unavailable() {
+    const cache = new DiffCache(null);
+    await cache.put("key", "x");
+    assert.strictEqual(await cache.get("key"), null);
+    assert.strictEqual(await cache.count(), 0);
+    assert.deepStrictEqual(await cache.getRevisionPairs(), []);
+  },
+};
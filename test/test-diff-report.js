@@ -0,0 +1,135 @@
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+
+const { LightDocument } = require("../spec/js/light-dom.js");
+const { DiffReport } = require("../spec/js/diff-report.js");
+const { SectionsComparator } = require("../spec/js/sections-comparator.js");
+
+const HISTORY = path.join(__dirname, "fixtures", "history");
+
+function loadSecData(rev) {
+  const file = path.join(HISTORY, rev, "sections.json");
+  const secData = JSON.parse(fs.readFileSync(file, "utf-8"));
+  SectionsComparator.createSecMap(secData);
+  return secData;
+}
+
+function parse(html) {
+  const box = new LightDocument().createElement("div");
+  box.innerHTML = html;
+  return box;
+}
+
+module.exports = {
+  getChanges() {
+    const box = parse(
+      "<emu-clause id=\"sec-a\"><p>Keep <del class=\"htmldiff-del\">old</del>" +
+        "<ins class=\"htmldiff-ins\">new  \n text</ins>.</p>" +
+        "<del class=\"htmldiff-move-from\">" +
+        "<a class=\"htmldiff-move-link\">moved to</a><p>Moved.</p></del>" +
+        "<ins class=\"htmldiff-move-to\">" +
+        "<a class=\"htmldiff-move-link\">moved from</a><p>Moved.</p></ins>" +
+        "<ins class=\"htmldiff-ins\"> </ins></emu-clause>");
+
+    const changes = DiffReport.getChanges(box).map(change => ({
+      type: change.type,
+      text: change.text,
+      path: change.path.map(DiffReport.pathItemToString),
+    }));
+    // Moved content is reported as removed and inserted, without the link,
+    // and empty changes are skipped.
+    assert.deepStrictEqual(changes, [
+      { type: "del", text: "old", path: ["emu-clause#sec-a", "p"] },
+      { type: "ins", text: "new text", path: ["emu-clause#sec-a", "p"] },
+      { type: "del", text: "Moved.", path: ["emu-clause#sec-a"] },
+      { type: "ins", text: "Moved.", path: ["emu-clause#sec-a"] },
+    ]);
+  },
+
+  getStat() {
+    const stat = html => DiffReport.getStat(parse(html));
+
+    assert.deepStrictEqual(stat(
+      "<p><del class=\"htmldiff-del htmldiff-change\">a</del>" +
+        "<ins class=\"htmldiff-ins htmldiff-change\">b</ins>" +
+        "<ins class=\"htmldiff-ins htmldiff-change\">c</ins></p>" +
+        "<del class=\"htmldiff-move-from\"><p>d</p></del>" +
+        "<ins class=\"htmldiff-move-to\"><p>d</p></ins>"),
+    { ins: 2, del: 1, move: 1, renumber: 0 });
+
+    // Renumbering is not counted as ins/del, either shown or hidden.
+    const shown =
+      "<span class=\"secnum\">" +
+      "<del class=\"htmldiff-del htmldiff-change htmldiff-number-change\">2</del>" +
+      "<ins class=\"htmldiff-ins htmldiff-change htmldiff-number-change\">3</ins></span>" +
+      "<a><del class=\"htmldiff-del htmldiff-change htmldiff-number-change\">3</del>" +
+      "<ins class=\"htmldiff-ins htmldiff-change htmldiff-number-change\">4</ins></a>" +
+      "<ins class=\"htmldiff-ins htmldiff-change\">New</ins>";
+    assert.deepStrictEqual(stat(shown), { ins: 1, del: 0, move: 0, renumber: 2 });
+
+    const hidden =
+      "<span class=\"secnum htmldiff-number-hidden\" title=\"was 2\">3</span>" +
+      "<a class=\"htmldiff-number-hidden\" title=\"was 3\">4</a>" +
+      "<ins class=\"htmldiff-ins htmldiff-change\">New</ins>";
+    assert.deepStrictEqual(stat(hidden), { ins: 1, del: 0, move: 0, renumber: 2 });
+  },
+
+  create() {
+    const comparator = new SectionsComparator(
+      loadSecData("base"), loadSecData("changed"));
+    const diffBox = parse(
+      "<emu-clause id=\"sec-privatefieldget\"><h1>" +
+        "<del class=\"htmldiff-del\">PrivateFieldGet</del>" +
+        "<ins class=\"htmldiff-ins\">PrivateGet</ins> ( P, O )</h1>" +
+        "</emu-clause>");
+
+    const report = new DiffReport(comparator).create("base", "changed", diffBox);
+    assert.strictEqual(report.from, "base");
+    assert.strictEqual(report.to, "changed");
+    assert.deepStrictEqual(
+      report.sections.map(({ id, stat }) => `${stat} ${id}`),
+      ["ins sec-new", "mod sec-privatefieldget", "del sec-removed"]);
+
+    const [added, modified, removed] = report.sections;
+    assert.strictEqual(added.fromTitle, "");
+    assert.strictEqual(added.toTitle, "New");
+    assert.strictEqual(added.toNum, "2");
+    assert.ok(!("changes" in added));
+
+    assert.strictEqual(modified.fromTitle, "PrivateFieldGet ( P, O )");
+    assert.strictEqual(modified.toTitle, "PrivateGet ( P, O )");
+    assert.strictEqual(modified.fromNum, "2");
+    assert.strictEqual(modified.toNum, "3");
+    assert.strictEqual(modified.ins, 8);
+    assert.strictEqual(modified.del, 3);
+    assert.deepStrictEqual(modified.categories, ["algorithm", "prose"]);
+    assert.deepStrictEqual(modified.changes, [
+      {
+        type: "del",
+        text: "PrivateFieldGet",
+        path: ["emu-clause#sec-privatefieldget", "h1"],
+      },
+      {
+        type: "ins",
+        text: "PrivateGet",
+        path: ["emu-clause#sec-privatefieldget", "h1"],
+      },
+    ]);
+
+    assert.strictEqual(removed.toTitle, "");
+    assert.strictEqual(removed.fromNum, "4");
+
+    assert.deepStrictEqual(
+      report.abstractOperations.map(({ type }) => type), ["rename"]);
+  },
+
+  createWithoutDiff() {
+    const comparator = new SectionsComparator(
+      loadSecData("base"), loadSecData("changed"));
+    const report = new DiffReport(comparator).create("base", "changed");
+    assert.ok(report.sections.every(section => !("changes" in section)));
+  },
+};
@@ -0,0 +1,50 @@
+"use strict";
+
+const assert = require("assert");
+
+const { LightDocument } = require("../spec/js/light-dom.js");
+const { DiffTextFormatter } = require("../spec/js/diff-text.js");
+const { diffSectionHTML } = require("../spec/js/tree-diff.js");
+
+async function createDiffBox() {
+  const box = new LightDocument().createElement("div");
+  box.innerHTML = await diffSectionHTML(
+    "<emu-clause id=\"sec-a\"><h1>Foo</h1><p>Hello world.</p>" +
+      "<emu-alg><ol><li>Let x be 1.</li><li>Return x.</li></ol></emu-alg>" +
+      "</emu-clause>",
+    "<emu-clause id=\"sec-a\"><h1>Foo</h1><p>Hello *there* world.</p>" +
+      "<emu-alg><ol><li>Let x be 2.</li><li>Return x.</li></ol></emu-alg>" +
+      "</emu-clause>");
+  return box;
+}
+
+function format(type, box) {
+  return new DiffTextFormatter(type, id => `1 Title of ${id}`).format(box);
+}
+
+module.exports = {
+  async markdown() {
+    const lines = format("markdown", await createDiffBox()).split("\n");
+    assert.strictEqual(lines[0], "### 1 Title of sec-a");
+    assert.ok(lines.includes("Hello **+\\*there\\*+** world."));
+    assert.ok(lines.includes("- 1\\. Let x be ~~-1-~~**+2+**."));
+    assert.ok(lines.includes("- 2\\. Return x."));
+  },
+
+  async text() {
+    const lines = format("text", await createDiffBox()).split("\n");
+    assert.deepStrictEqual(lines.slice(0, 2), [
+      "1 Title of sec-a",
+      "----------------",
+    ]);
+    assert.ok(lines.includes("Hello {+*there*+} world."));
+    assert.ok(lines.includes("1. Let x be [-1-]{+2+}."));
+    assert.ok(lines.includes("2. Return x."));
+  },
+
+  async noChange() {
+    const box = new LightDocument().createElement("div");
+    box.innerHTML = await diffSectionHTML("<p>Same.</p>", "<p>Same.</p>");
+    assert.strictEqual(format("text", box), "Same.\n");
+  },
+};
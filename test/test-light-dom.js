@@ -0,0 +1,53 @@
+"use strict";
+
+const assert = require("assert");
+
+const { LightDocument } = require("../spec/js/light-dom.js");
+
+function parse(html) {
+  const box = new LightDocument().createElement("div");
+  box.innerHTML = html;
+  return box;
+}
+
+module.exports = {
+  roundTrip() {
+    const html = "<emu-clause id=\"sec-a\"><h1>Title</h1>" +
+          "<p>A &amp; B &lt; C<br>D</p><!-- comment --></emu-clause>";
+    assert.strictEqual(parse(html).innerHTML, html);
+  },
+
+  impliedEndTags() {
+    const box = parse("<ul><li>a<li>b</ul><p>c<p>d");
+    assert.strictEqual(box.innerHTML,
+                       "<ul><li>a</li><li>b</li></ul><p>c</p><p>d</p>");
+  },
+
+  entities() {
+    const box = parse("<p title=\"&quot;x&quot;\">&#x41;&#66;&nbsp;</p>");
+    const p = box.firstChild;
+    assert.strictEqual(p.getAttribute("title"), "\"x\"");
+    assert.strictEqual(p.textContent, "AB ");
+  },
+
+  query() {
+    const box = parse("<div id=\"x\"><p class=\"a b\">1</p><p class=\"b\">2</p></div>");
+    assert.strictEqual(box.getElementsByTagName("p").length, 2);
+    assert.strictEqual(box.getElementsByClassName("a").length, 1);
+    assert.strictEqual(box.getElementById("x").localName, "div");
+    assert.strictEqual(box.getElementById("y"), null);
+  },
+
+  cloneNode() {
+    const box = parse("<p class=\"a\">x<b>y</b></p>");
+    const p = box.firstChild;
+
+    const shallow = p.cloneNode();
+    assert.strictEqual(shallow.outerHTML, "<p class=\"a\"></p>");
+
+    const deep = p.cloneNode(true);
+    assert.strictEqual(deep.outerHTML, p.outerHTML);
+    deep.classList.add("b");
+    assert.strictEqual(p.className, "a");
+  },
+};
@@ -0,0 +1,119 @@
+"use strict";
+
+const assert = require("assert");
+
+const { PRRevisions } = require("../spec/js/pr-revisions.js");
+
+// Main branch: m1 <- m2 <- m3
+// PR 1: m1 <- a1 <- a2, and then merged m3 as a3
+// PR 2: m2 <- b1
+function createPRRevisions() {
+  const revs = [
+    { hash: "m1", date: "2020-01-01T00:00:00Z", parents: "m0" },
+    { hash: "m2", date: "2020-01-02T00:00:00Z", parents: "m1" },
+    { hash: "m3", date: "2020-01-03T00:00:00Z", parents: "m2" },
+  ];
+  const prs = [
+    {
+      number: 1,
+      head: "a3",
+      parent: "m1",
+      revs: [
+        { hash: "a3", parents: "a2 m3" },
+        { hash: "a2", parents: "a1" },
+        { hash: "a1", parents: "m1" },
+      ],
+    },
+    {
+      number: 2,
+      head: "b1",
+      parent: "m2",
+      revs: [
+        { hash: "b1", parents: "m2" },
+      ],
+    },
+  ];
+
+  const revMap = {};
+  for (const rev of revs) {
+    revMap[rev.hash] = rev;
+  }
+  const prMap = {};
+  for (const pr of prs) {
+    prMap[pr.number] = pr;
+  }
+  return new PRRevisions(revMap, prMap);
+}
+
+module.exports = {
+  optValue() {
+    const prRevisions = createPRRevisions();
+    const pr = prRevisions.prMap[1];
+    assert.strictEqual(PRRevisions.prToOptValue(pr), "PR/1/a3");
+    assert.strictEqual(PRRevisions.prRevToOptValue(pr, "a1"), "PR/1/a1");
+
+    assert.deepStrictEqual(prRevisions.optValueToPRRev("PR/1/a1"),
+                           { hash: "a1", pr });
+    assert.strictEqual(prRevisions.optValueToPRRev("PR/1/b1"), null);
+    assert.strictEqual(prRevisions.optValueToPRRev("PR/3/a1"), null);
+    assert.strictEqual(prRevisions.optValueToPRRev("m1"), null);
+  },
+
+  prRevBase() {
+    const prRevisions = createPRRevisions();
+    const pr = prRevisions.prMap[1];
+
+    assert.strictEqual(prRevisions.getPRRevBase(pr, "a1"), "m1");
+    assert.strictEqual(prRevisions.getPRRevBase(pr, "a2"), "m1");
+    // The latest revision on the main branch after merging it.
+    assert.strictEqual(prRevisions.getPRRevBase(pr, "a3"), "m3");
+
+    assert.strictEqual(prRevisions.getBaseForOptValue("PR/1/a2"), "m1");
+    assert.strictEqual(prRevisions.getBaseForOptValue("m2"), "m2");
+  },
+
+  prInterdiff() {
+    const prRevisions = createPRRevisions();
+    assert.ok(!prRevisions.isPRInterdiff("1", "base", "a3"));
+    assert.ok(prRevisions.isPRInterdiff("1", "a1", "a3"));
+    assert.ok(prRevisions.isPRInterdiff("1", "base", "a2"));
+    assert.ok(!prRevisions.isPRInterdiff("-", "base", "a2"));
+
+    // Interdiff of the PR whose base is updated by the merge.
+    assert.deepStrictEqual(
+      prRevisions.getBases("PR/1/a1", "PR/1/a3", "1", "a1", "a3"),
+      { fromBase: "m1", toBase: "m3" });
+  },
+
+  noBasesForMainBranch() {
+    const prRevisions = createPRRevisions();
+    assert.strictEqual(prRevisions.getBases("m1", "m2", "-", "base", ""), null);
+    // The PR's base and head are compared directly.
+    assert.strictEqual(
+      prRevisions.getBases("m1", "PR/1/a3", "1", "base", "a3"), null);
+  },
+
+  comparingPRsWithDifferentBases() {
+    const prRevisions = createPRRevisions();
+    assert.ok(prRevisions.isComparingPRs("PR/1/a2", "PR/2/b1"));
+    assert.ok(!prRevisions.isComparingPRs("m2", "PR/2/b1"));
+
+    assert.deepStrictEqual(
+      prRevisions.getBases("PR/1/a2", "PR/2/b1", "-", "base", ""),
+      { fromBase: "m1", toBase: "m2" });
+
+    // Each PR is diffed against its own base in the three-way view.
+    assert.deepStrictEqual(
+      prRevisions.getThreeWayDiffs("PR/1/a2", "PR/2/b1"), [
+        { type: "from", base: "m1", rev: "PR/1/a2" },
+        { type: "to", base: "m2", rev: "PR/2/b1" },
+      ]);
+  },
+
+  comparingPRsWithSameBase() {
+    const prRevisions = createPRRevisions();
+    assert.deepStrictEqual(
+      prRevisions.getBases("PR/1/a1", "PR/1/a2", "-", "base", ""),
+      { fromBase: "m1", toBase: "m1" });
+  },
+};
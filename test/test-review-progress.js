@@ -0,0 +1,134 @@
+"use strict";
+
+const assert = require("assert");
+
+const { ReviewProgress } = require("../spec/js/review-progress.js");
+
+// In-memory implementation of Storage.
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+module.exports = {
+  name() {
+    assert.strictEqual(ReviewProgress.getName("123", "PR/123/aaa", "PR/123/bbb"),
+                       "PR/123");
+    assert.strictEqual(ReviewProgress.getName("-", "aaa", "bbb"), "aaa..bbb");
+  },
+
+  fingerprint() {
+    const a = ReviewProgress.createFingerprint("<p>a</p>", "<p>b</p>");
+    assert.ok(/^[0-9a-f]{8}$/.test(a));
+    assert.strictEqual(a, ReviewProgress.createFingerprint("<p>a</p>", "<p>b</p>"));
+    assert.notStrictEqual(a, ReviewProgress.createFingerprint("<p>a</p>", "<p>c</p>"));
+    assert.notStrictEqual(a, ReviewProgress.createFingerprint("<p>a</p><p>b", "</p>"));
+  },
+
+  reviewedIsStoredPerHead() {
+    const storage = new MemoryStorage();
+    const progress = new ReviewProgress(storage);
+    progress.load("PR/1", "head1", new Map([["sec-a", "fa"]]));
+    assert.ok(!progress.isReviewed("sec-a", "fa"));
+
+    progress.setReviewed("sec-a", "fa", true);
+    assert.ok(progress.isReviewed("sec-a", "fa"));
+    assert.strictEqual(storage.getItem("ecma262-compare-review:PR/1/head1"),
+                       JSON.stringify({ "sec-a": { fingerprint: "fa" } }));
+
+    const reloaded = new ReviewProgress(storage);
+    reloaded.load("PR/1", "head1", new Map([["sec-a", "fa"]]));
+    assert.ok(reloaded.isReviewed("sec-a", "fa"));
+
+    reloaded.setReviewed("sec-a", "fa", false);
+    assert.ok(!reloaded.isReviewed("sec-a", "fa"));
+  },
+
+  headChange() {
+    const storage = new MemoryStorage();
+    const progress = new ReviewProgress(storage);
+    progress.load("PR/1", "head1",
+                  new Map([["sec-a", "fa1"], ["sec-b", "fb1"]]));
+    progress.setReviewed("sec-a", "fa1", true);
+    progress.setReviewed("sec-b", "fb1", true);
+
+    // The diff of sec-a is changed by the force-push, and sec-b is not.
+    const updated = new ReviewProgress(storage);
+    updated.load("PR/1", "head2",
+                 new Map([["sec-a", "fa2"], ["sec-b", "fb1"]]));
+    assert.ok(!updated.isReviewed("sec-a", "fa2"));
+    assert.ok(updated.isReviewed("sec-b", "fb1"));
+
+    updated.setReviewed("sec-a", "fa2", true);
+    assert.deepStrictEqual(
+      JSON.parse(storage.getItem("ecma262-compare-review:PR/1/head2")), {
+        "sec-a": { fingerprint: "fa2" },
+        "sec-b": { fingerprint: "fb1" },
+      });
+
+    // The progress for the previous head is kept as is.
+    const previous = new ReviewProgress(storage);
+    previous.load("PR/1", "head1",
+                  new Map([["sec-a", "fa1"], ["sec-b", "fb1"]]));
+    assert.ok(previous.isReviewed("sec-a", "fa1"));
+    assert.ok(!previous.isReviewed("sec-a", "fa2"));
+  },
+
+  headChangeBackToOldDiff() {
+    const storage = new MemoryStorage();
+    const progress = new ReviewProgress(storage);
+    progress.load("PR/1", "head1", new Map([["sec-a", "fa1"]]));
+    progress.setReviewed("sec-a", "fa1", true);
+
+    // Not carried over to the head whose diff is changed, even if the diff
+    // is later reverted.
+    progress.load("PR/1", "head2", new Map([["sec-a", "fa2"]]));
+    progress.setReviewed("sec-b", "fb2", true);
+    progress.load("PR/1", "head3", new Map([["sec-a", "fa1"]]));
+    assert.ok(!progress.isReviewed("sec-a", "fa1"));
+  },
+
+  oldHeadsAreRemoved() {
+    const storage = new MemoryStorage();
+    const progress = new ReviewProgress(storage);
+    for (let i = 1; i <= progress.MAX_HEADS + 1; i++) {
+      progress.load("PR/1", `head${i}`, new Map());
+      progress.setReviewed("sec-a", "fa", true);
+    }
+
+    assert.strictEqual(storage.getItem("ecma262-compare-review:PR/1/head1"), null);
+    assert.notStrictEqual(storage.getItem("ecma262-compare-review:PR/1/head2"), null);
+    assert.strictEqual(
+      JSON.parse(storage.getItem("ecma262-compare-review:PR/1:heads")).length,
+      progress.MAX_HEADS);
+  },
+
+  revisionPair() {
+    const storage = new MemoryStorage();
+    const progress = new ReviewProgress(storage);
+    progress.load("aaa..bbb", null, new Map());
+    progress.setReviewed("sec-a", "fa", true);
+    assert.strictEqual(storage.getItem("ecma262-compare-review:aaa..bbb"),
+                       JSON.stringify({ "sec-a": { fingerprint: "fa" } }));
+  },
+
+  withoutStorage() {
+    const progress = new ReviewProgress(null);
+    progress.load("PR/1", "head1", new Map());
+    progress.setReviewed("sec-a", "fa", true);
+    assert.ok(progress.isReviewed("sec-a", "fa"));
+  },
+};
@@ -0,0 +1,375 @@
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+
+const { LightDocument } = require("../spec/js/light-dom.js");
+const { SectionsComparator } = require("../spec/js/sections-comparator.js");
+
+const HISTORY = path.join(__dirname, "fixtures", "history");
+
+function loadSecData(rev) {
+  const file = path.join(HISTORY, rev, "sections.json");
+  const secData = JSON.parse(fs.readFileSync(file, "utf-8"));
+  SectionsComparator.createSecMap(secData);
+  return secData;
+}
+
+function createComparator(from, to) {
+  return new SectionsComparator(loadSecData(from), loadSecData(to));
+}
+
+// Create `sections.json` data from the list of `[id, title, text]`, where
+// the section's HTML contains only `text` as words.
+function createSecData(sections) {
+  const secData = {
+    secList: [],
+    secData: {},
+    figData: {},
+  };
+  sections.forEach(([id, title, text], i) => {
+    secData.secList.push(id);
+    secData.secData[id] = {
+      num: String(i + 1),
+      title,
+      html: `<emu-clause id="${id}"><p>${text}</p></emu-clause>`,
+    };
+  });
+  SectionsComparator.createSecMap(secData);
+  return secData;
+}
+
+// Create `sections.json` data for single section "sec-a" with the content.
+function createSecDataForHTML(title, html) {
+  const secData = {
+    secList: ["sec-a"],
+    secData: {
+      "sec-a": {
+        num: "1",
+        title,
+        html: `<emu-clause id="sec-a">${html}</emu-clause>`,
+      },
+    },
+    figData: {},
+  };
+  SectionsComparator.createSecMap(secData);
+  return secData;
+}
+
+module.exports = {
+  wordStat() {
+    const comparator = createComparator("base", "changed");
+
+    // Words are compared as multiset, ignoring the order and the markup.
+    assert.deepStrictEqual(comparator.getWordStat("sec-privatefieldget"),
+                           { del: 3, ins: 8 });
+    assert.deepStrictEqual(comparator.getWordStat("sec-new"),
+                           { del: 0, ins: 3 });
+    assert.deepStrictEqual(comparator.getWordStat("sec-removed"),
+                           { del: 2, ins: 0 });
+    assert.deepStrictEqual(comparator.getWordStat("sec-intro"),
+                           { del: 0, ins: 0 });
+  },
+
+  renamedSection() {
+    const comparator = createComparator("changed", "renamed");
+    assert.deepStrictEqual([...comparator.getRenamedMap()],
+                           [["sec-other-renamed", "sec-other"]]);
+
+    const item = comparator.getSectionList().find(
+      ({ id }) => id === "sec-other-renamed");
+    assert.deepStrictEqual(item, {
+      fromId: "sec-other",
+      fromNum: "4",
+      id: "sec-other-renamed",
+      stat: "move",
+      toNum: "4",
+    });
+    assert.ok(!comparator.getSectionList().some(({ id }) => id === "sec-other"));
+
+    // The old section is diffed against the new one, with the new id.
+    assert.ok(comparator.getFromSectionHTML("sec-other-renamed").startsWith(
+      "<emu-clause id=\"sec-other-renamed\">"));
+    assert.deepStrictEqual(comparator.getWordStat("sec-other-renamed"),
+                           { del: 0, ins: 1 });
+  },
+
+  renameThreshold() {
+    const from = createSecData([
+      ["sec-a", "A", "w1 w2 w3 w4 w5 w6 w7 w8 w9 w10"],
+    ]);
+    const create = text => new SectionsComparator(
+      from, createSecData([["sec-b", "B", text]]));
+
+    // The similarity is 2 * 7 / (10 + 10).
+    const atThreshold = create("w1 w2 w3 w4 w5 w6 w7 x1 x2 x3");
+    assert.strictEqual(atThreshold.renameThreshold, 0.7);
+    assert.deepStrictEqual([...atThreshold.getRenamedMap()],
+                           [["sec-b", "sec-a"]]);
+
+    // The similarity is 2 * 6 / (10 + 10).
+    const belowThreshold = create("w1 w2 w3 w4 w5 w6 x1 x2 x3 x4");
+    assert.strictEqual(belowThreshold.getRenamedMap().size, 0);
+    assert.deepStrictEqual(
+      belowThreshold.getSectionList().map(({ id, stat }) => `${stat} ${id}`),
+      ["del sec-a", "ins sec-b"]);
+  },
+
+  renamePairsMostSimilarFirst() {
+    const comparator = new SectionsComparator(
+      createSecData([
+        ["sec-a", "A", "a b c d e f g h i j"],
+        ["sec-b", "B", "k l m n o p q r s t"],
+      ]),
+      createSecData([
+        ["sec-a2", "A", "a b c d e f g h x y"],
+        ["sec-a3", "A", "a b c d e f g h i z"],
+      ]));
+
+    // Each removed section is paired with at most one added section.
+    assert.deepStrictEqual([...comparator.getRenamedMap()],
+                           [["sec-a3", "sec-a"]]);
+    assert.deepStrictEqual(
+      comparator.getSectionList().map(({ id, stat }) => `${stat} ${id}`),
+      ["ins sec-a2", "move sec-a3", "del sec-b"]);
+  },
+
+  splitByCategory() {
+    const parts = SectionsComparator.splitByCategory(
+      "<p>Prose.</p>" +
+        "<div><emu-alg><ol><li>Step.</li></ol></emu-alg></div>" +
+        "<emu-grammar>A : B</emu-grammar>" +
+        "<emu-note><p>Note.</p><emu-alg><ol><li>Note step.</li></ol></emu-alg></emu-note>" +
+        "<emu-example><emu-grammar>C : D</emu-grammar></emu-example>");
+
+    // The outermost categorized element owns its content, even when it's
+    // nested inside other elements.
+    assert.deepStrictEqual(parts, {
+      algorithm: "<emu-alg><ol><li>Step.</li></ol></emu-alg>",
+      grammar: "<emu-grammar>A : B</emu-grammar>",
+      notes: [
+        "<emu-note><p>Note.</p><emu-alg><ol><li>Note step.</li></ol></emu-alg></emu-note>",
+        "<emu-example><emu-grammar>C : D</emu-grammar></emu-example>",
+      ].join("\n"),
+      prose: "<p>Prose.</p><div></div>",
+    });
+  },
+
+  changeCategories() {
+    const categoriesOf = (title, fromHTML, toHTML) => {
+      const comparator = new SectionsComparator(
+        createSecDataForHTML(title, fromHTML),
+        createSecDataForHTML(title, toHTML));
+      return comparator.getChangeCategories("sec-a");
+    };
+    const alg = step => `<emu-alg><ol><li>${step}</li></ol></emu-alg>`;
+    const note = text => `<emu-note>${text}</emu-note>`;
+
+    assert.deepStrictEqual(
+      categoriesOf("A", "<p>x</p>" + alg("Return 1."),
+                   "<p>x</p>" + alg("Return 2.")),
+      ["algorithm"]);
+    assert.deepStrictEqual(
+      categoriesOf("A", "<p>x</p>" + note(alg("Return 1.")),
+                   "<p>x</p>" + note(alg("Return 2."))),
+      ["notes"]);
+    assert.deepStrictEqual(
+      categoriesOf("A", "<emu-grammar>A : B</emu-grammar><p>x</p>",
+                   "<emu-grammar>A : C</emu-grammar><p>y</p>"),
+      ["grammar", "prose"]);
+    assert.deepStrictEqual(
+      categoriesOf("Static Semantics: Early Errors",
+                   alg("Return 1.") + note("a"),
+                   alg("Return 2.") + note("b")),
+      ["early-errors", "notes"]);
+    assert.deepStrictEqual(
+      categoriesOf("A", "<p>x</p>", "<p><b>x</b></p>"),
+      ["markup"]);
+
+    // Ignored attributes are not a change.
+    assert.deepStrictEqual(
+      categoriesOf("A", "<emu-xref href=\"#a\"></emu-xref>",
+                   "<emu-xref href=\"#b\"></emu-xref>"),
+      []);
+  },
+
+  normativeChange() {
+    const comparator = new SectionsComparator(
+      createSecDataForHTML("A", "<p>x</p><emu-note>a</emu-note>"),
+      createSecDataForHTML("A", "<p>x</p><emu-note>b</emu-note>"));
+    assert.ok(!comparator.isNormativeChange("sec-a"));
+
+    assert.ok(createComparator("base", "changed").isNormativeChange(
+      "sec-privatefieldget"));
+    assert.ok(!createComparator("base", "changed").isNormativeChange(
+      "sec-intro"));
+  },
+
+  abstractOperationRename() {
+    assert.deepStrictEqual(
+      createComparator("base", "changed").getAbstractOperationChanges(), [
+        {
+          type: "rename",
+          fromName: "PrivateFieldGet",
+          toName: "PrivateGet",
+          fromParams: ["P", "O"],
+          toParams: ["P", "O"],
+          fromId: "sec-privatefieldget",
+          toId: "sec-privatefieldget",
+        },
+      ]);
+  },
+
+  abstractOperationRenameWithNewId() {
+    // The operation is renamed together with the section id, and detected
+    // through the moved section.
+    const comparator = new SectionsComparator(
+      createSecData([
+        ["sec-foo", "Foo ( <var>x</var> )", "Return the result of x y z."],
+      ]),
+      createSecData([
+        ["sec-bar", "Bar ( <var>x</var>, <var>y</var> )", "Return the result of x y z w."],
+      ]));
+    assert.deepStrictEqual(comparator.getAbstractOperationChanges(), [
+      {
+        type: "rename",
+        fromName: "Foo",
+        toName: "Bar",
+        fromParams: ["x"],
+        toParams: ["x", "y"],
+        fromId: "sec-foo",
+        toId: "sec-bar",
+      },
+    ]);
+  },
+
+  abstractOperationChanges() {
+    const comparator = new SectionsComparator(
+      createSecData([
+        ["sec-sig", "Sig ( <var>a</var>, <var>b</var> )", "s"],
+        ["sec-same", "Same ( <var>a</var> )", "t"],
+        ["sec-old", "Old ( )", "u"],
+        ["sec-intro", "Introduction", "v"],
+      ]),
+      createSecData([
+        ["sec-sig", "Sig ( <var>a</var> [ , <var>b</var> ] )", "s"],
+        ["sec-same", "Same ( <var>a</var> )", "t changed"],
+        ["sec-added", "Added ( <var>c</var> )", "w"],
+        ["sec-intro", "Introduction", "v"],
+      ]));
+    assert.deepStrictEqual(
+      comparator.getAbstractOperationChanges().map(
+        change => [change.type, change.fromName, change.toName,
+                   change.fromParams.join(", "), change.toParams.join(", "),
+                   change.fromId, change.toId]),
+      [
+        ["ins", "", "Added", "", "c", "", "sec-added"],
+        ["del", "Old", "", "", "", "sec-old", ""],
+        ["signature", "Sig", "Sig", "a, b", "a, [b]", "sec-sig", "sec-sig"],
+      ]);
+  },
+
+  abstractOperationRenameToExistingName() {
+    // The old name is still defined in another section, so the section
+    // defines a new operation instead.
+    const comparator = new SectionsComparator(
+      createSecData([
+        ["sec-a", "Foo ( )", "a"],
+      ]),
+      createSecData([
+        ["sec-a", "Bar ( )", "a"],
+        ["sec-b", "Foo ( )", "b"],
+      ]));
+    assert.deepStrictEqual(
+      comparator.getAbstractOperationChanges().map(
+        change => `${change.type} ${change.fromName}/${change.fromId} ` +
+          `${change.toName}/${change.toId}`),
+      ["ins / Bar/sec-a"]);
+  },
+
+  referrers() {
+    const comparator = createComparator("base", "changed");
+    assert.deepStrictEqual(comparator.getReferrers("sec-other"), [
+      { id: "sec-privatefieldget", stat: "mod" },
+    ]);
+    assert.deepStrictEqual(comparator.getReferrers("sec-privatefieldget"), []);
+  },
+
+  referrersOfRenamedSection() {
+    // Both the reference to the old id and the new id are found.
+    const comparator = createComparator("changed", "renamed");
+    assert.deepStrictEqual(comparator.getReferrers("sec-other-renamed"), [
+      { id: "sec-privatefieldget", stat: "mod" },
+    ]);
+  },
+
+  referrersByAOID() {
+    const xref = "<emu-xref aoid=\"Foo\"></emu-xref>";
+    const comparator = new SectionsComparator(
+      createSecData([
+        ["sec-foo", "Foo ( )", "a"],
+        ["sec-caller", "Caller", `Call ${xref} with the values 1 2 3.`],
+        ["sec-self", "Self", "<emu-xref href=\"#sec-self\"></emu-xref>"],
+        ["sec-old", "Old", `Call ${xref} once.`],
+        ["sec-same", "Same", `See ${xref}.`],
+      ]),
+      createSecData([
+        ["sec-foo", "Foo ( )", "b"],
+        ["sec-caller2", "Caller", `Call ${xref} with the values 1 2 3 4.`],
+        ["sec-self", "Self", "<emu-xref href=\"#sec-self\"></emu-xref>"],
+        ["sec-same", "Same", `See ${xref}.`],
+      ]));
+
+    // The referrer whose id is changed is listed with the new id, and the
+    // referrer only in "from" revision is also listed.
+    assert.deepStrictEqual(comparator.getReferrers("sec-foo"), [
+      { id: "sec-caller2", stat: "move" },
+      { id: "sec-old", stat: "del" },
+      { id: "sec-same", stat: "same" },
+    ]);
+    assert.deepStrictEqual(comparator.getReferrers("sec-self"), []);
+  },
+
+  hideRenumbering() {
+    // sec-other is renumbered only by the section inserted before it.
+    const comparator = createComparator("base", "changed");
+    const html =
+      "<h1><span class=\"secnum excluded-secnum\" excluded-id=\"sec-other\"></span> Other</h1>" +
+      "<p>See <a class=\"excluded-xref\" excluded-id=\"sec-other\"></a> and " +
+      "<a class=\"excluded-xref\" excluded-id=\"sec-intro\"></a>.</p>";
+    const fixup = () => {
+      const box = new LightDocument().createElement("div");
+      box.innerHTML = html;
+      assert.strictEqual(comparator.fixupExcluded("diff", box), true);
+      return box.innerHTML;
+    };
+
+    assert.strictEqual(
+      fixup(),
+      "<h1><span class=\"secnum\">" +
+        "<del class=\"htmldiff-del htmldiff-change htmldiff-number-change\">3</del>" +
+        "<ins class=\"htmldiff-ins htmldiff-change htmldiff-number-change\">4</ins>" +
+        "</span> Other</h1>" +
+        "<p>See <a class=\"\">" +
+        "<del class=\"htmldiff-del htmldiff-change htmldiff-number-change\">3</del>" +
+        "<ins class=\"htmldiff-ins htmldiff-change htmldiff-number-change\">4</ins>" +
+        "</a> and <a class=\"\">1</a>.</p>");
+
+    comparator.setHideRenumbering(true);
+    assert.strictEqual(
+      fixup(),
+      "<h1><span class=\"secnum htmldiff-number-hidden\" title=\"was 3\">4</span> Other</h1>" +
+        "<p>See <a class=\"htmldiff-number-hidden\" title=\"was 3\">4</a> and " +
+        "<a class=\"\">1</a>.</p>");
+
+    comparator.setHideRenumbering(false);
+    assert.ok(fixup().includes("htmldiff-number-change"));
+  },
+
+  wordsSkipExcludedSections() {
+    const words = SectionsComparator.getWords(
+      "<p>a &amp; b.</p><div id=\"excluded-sec-x\"><div>c</div></div><p>d</p>");
+    assert.deepStrictEqual(words, ["a", "&", "b", "d"]);
+  },
+};
@@ -0,0 +1,27 @@
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+
+const SPEC_DIR = path.join(__dirname, "..", "spec");
+
+module.exports = {
+  inlineHandlersAreDefined() {
+    const html = fs.readFileSync(path.join(SPEC_DIR, "spec.html"), "utf-8");
+    const js = fs.readFileSync(path.join(SPEC_DIR, "js", "compare.js"), "utf-8");
+
+    const names = new Set();
+    const re = /\son[a-z]+="([A-Za-z_$][\w$]*)\(/g;
+    let m;
+    while ((m = re.exec(html)) !== null) {
+      names.add(m[1]);
+    }
+    assert.ok(names.size > 0);
+
+    for (const name of names) {
+      assert.ok(new RegExp(`^function ${name}\\(`, "m").test(js),
+                `${name} is not defined in compare.js`);
+    }
+  },
+};
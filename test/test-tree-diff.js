@@ -0,0 +1,93 @@
+"use strict";
+
+const assert = require("assert");
+
+const { diffSectionHTML } = require("../spec/js/tree-diff.js");
+
+module.exports = {
+  async insertedWord() {
+    const html = await diffSectionHTML(
+      "<p>Hello world.</p>",
+      "<p>Hello there world.</p>");
+    assert.strictEqual(
+      html,
+      "<p>Hello <ins class=\"htmldiff-ins htmldiff-change\">there </ins>world.</p>");
+  },
+
+  async addedSection() {
+    const html = await diffSectionHTML(null, "<p>x</p>");
+    assert.strictEqual(
+      html, "<ins class=\"htmldiff-ins htmldiff-change\"><p>x</p></ins>");
+  },
+
+  async removedSection() {
+    const html = await diffSectionHTML("<p>x</p>", null);
+    assert.strictEqual(
+      html, "<del class=\"htmldiff-del htmldiff-change\"><p>x</p></del>");
+  },
+
+  async movedParagraphs() {
+    const html = await diffSectionHTML(
+      "<p>Alpha one two three four.</p>" +
+        "<p>Middle paragraph stays right here.</p>" +
+        "<p>Beta five six seven eight.</p>",
+      "<p>Beta five six seven eight.</p>" +
+        "<p>Middle paragraph stays right here.</p>" +
+        "<p>Alpha one two three four.</p>");
+
+    // Both paragraphs are linked between the source and destination, and
+    // the unchanged one stays in place.
+    assert.strictEqual((html.match(/class="htmldiff-move-from /g) || []).length, 2);
+    assert.strictEqual((html.match(/class="htmldiff-move-to /g) || []).length, 2);
+    assert.ok(html.includes("href=\"#htmldiff-move-0-to\" id=\"htmldiff-move-0-from\""));
+    assert.ok(html.includes("href=\"#htmldiff-move-0-from\" id=\"htmldiff-move-0-to\""));
+    assert.ok(html.includes("</ins><p>Middle paragraph stays right here.</p><del"));
+    assert.ok(!html.includes("htmldiff-ins"));
+    assert.ok(!html.includes("htmldiff-del"));
+  },
+
+  async charDiff() {
+    const html = await diffSectionHTML(
+      "<p>Hello wonderful world.</p>",
+      "<p>Hello wonderous world.</p>",
+      { charDiff: true });
+    assert.ok(html.includes("wonder<span class=\"htmldiff-char\">ful</span>"));
+    assert.ok(html.includes("wonder<span class=\"htmldiff-char\">ous</span>"));
+  },
+
+  async algStepInserted() {
+    const alg = steps => "<emu-alg><ol>" +
+          steps.map(step => `<li>${step}</li>`).join("") + "</ol></emu-alg>";
+    const fromHTML = alg(["Let x be 1.", "Let y be x + 1.", "Return y."]);
+    const toHTML = alg(["Assert: true.", "Let x be 1.", "Let y be x + 1.", "Return y."]);
+
+    // Later steps are matched by the content, and only annotated as
+    // renumbered.
+    const html = await diffSectionHTML(fromHTML, toHTML, { algDiff: true });
+    assert.strictEqual(
+      html,
+      "<emu-alg><ol>" +
+        "<li class=\"htmldiff-step-ins\"><ins class=\"htmldiff-ins htmldiff-change\">1. Assert: true.</ins></li>" +
+        "<li><span class=\"htmldiff-renumber\" data-from=\"1\" title=\"renumbered from 1.\">2</span>. Let x be 1.</li>" +
+        "<li><span class=\"htmldiff-renumber\" data-from=\"2\" title=\"renumbered from 2.\">3</span>. Let y be x + 1.</li>" +
+        "<li><span class=\"htmldiff-renumber\" data-from=\"3\" title=\"renumbered from 3.\">4</span>. Return y.</li>" +
+        "</ol></emu-alg>");
+
+    // Without the option, the step numbers are marked as changed.
+    const plain = await diffSectionHTML(fromHTML, toHTML);
+    assert.ok(!plain.includes("htmldiff-renumber"));
+    assert.ok(plain.includes(
+      "<li><del class=\"htmldiff-del htmldiff-change\">1</del>" +
+        "<ins class=\"htmldiff-ins htmldiff-change\">2</ins>. Let x be 1.</li>"));
+  },
+
+  async tableRow() {
+    const html = await diffSectionHTML(
+      "<table><tr><td>a</td><td>1</td></tr></table>",
+      "<table><tr><td>a</td><td>1</td></tr><tr><td>b</td><td>2</td></tr></table>");
+    assert.strictEqual(
+      html,
+      "<table><tr><td>a</td><td>1</td></tr>" +
+        "<tr class=\"htmldiff-ins htmldiff-change\"><td>b</td><td>2</td></tr></table>");
+  },
+};
@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+"use strict";
+
+// Compare 2 revisions of the specification from local `sections.json`
+// snapshots, and print the list of added/removed/modified sections, in the
+// same way as the comparator page.
+
+const fs = require("fs");
+const path = require("path");
+
+const { LightDocument } = require("../spec/js/light-dom.js");
+const { DiffReport } = require("../spec/js/diff-report.js");
+const { DiffTextFormatter } = require("../spec/js/diff-text.js");
+const { SectionsComparator } = require("../spec/js/sections-comparator.js");
+const { HTMLTreeDiff, diffSectionHTML } = require("../spec/js/tree-diff.js");
+
+const USAGE = `Usage: compare-sections.js [options] FROM TO
+
+FROM and TO are either a path to sections.json, or a revision hash
+(or PR/<number>/<hash>) under the history directory.
+
+Options:
+  --history DIR  history directory (default: ./history)
+  --all          also list unchanged sections
+  --stat         show the approximate number of inserted/removed words and the
+                 category of the change for each section
+  --normative    list only sections with normative-looking changes, that is,
+                 not only in notes, examples, or markup
+  --diff         print HTML diff for each changed section
+  --format FMT   print the diff as "html" (default), "markdown", or "text"
+  --aos          print the abstract operations added (+), removed (-),
+                 renamed (->), or whose parameters are changed (-+)
+  --xrefs        print the sections that refer to each changed section, and
+                 whether they're also changed
+  --json         print the report of changes as JSON, including the changed
+                 text spans inside each modified section
+  --hide-renumbering
+                 show only the new number for the changed section number,
+                 caption number, and xref number in the diff
+  --char-diff    mark changed characters inside modified words in the diff
+  --alg-diff     match algorithm steps by content in the diff, and annotate
+                 renumbered steps instead of marking the number change
+  -h, --help     show this message
+`;
+
+const STAT_MARKS = {
+  del: "- ",
+  ins: "+ ",
+  mod: "-+",
+  move: "->",
+  same: "  ",
+};
+
+const AO_MARKS = {
+  del: "- ",
+  ins: "+ ",
+  // Renamed operation may also have different parameters.
+  rename: "->",
+  signature: "-+",
+};
+
+function parseArgs(argv) {
+  const options = {
+    algDiff: false,
+    all: false,
+    aos: false,
+    charDiff: false,
+    diff: false,
+    format: "html",
+    hideRenumbering: false,
+    history: "./history",
+    json: false,
+    normative: false,
+    revs: [],
+    xrefs: false,
+    stat: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-h" || arg === "--help") {
+      options.help = true;
+    } else if (arg === "--all") {
+      options.all = true;
+    } else if (arg === "--stat") {
+      options.stat = true;
+    } else if (arg === "--normative") {
+      options.normative = true;
+    } else if (arg === "--diff") {
+      options.diff = true;
+    } else if (arg === "--aos") {
+      options.aos = true;
+    } else if (arg === "--xrefs") {
+      options.xrefs = true;
+    } else if (arg === "--json") {
+      options.json = true;
+    } else if (arg === "--hide-renumbering") {
+      options.hideRenumbering = true;
+    } else if (arg === "--char-diff") {
+      options.charDiff = true;
+    } else if (arg === "--alg-diff") {
+      options.algDiff = true;
+    } else if (arg === "--format") {
+      i++;
+      if (i >= argv.length ||
+          !["html", "markdown", "text"].includes(argv[i])) {
+        throw new Error("--format requires html, markdown, or text");
+      }
+      options.format = argv[i];
+    } else if (arg === "--history") {
+      i++;
+      if (i >= argv.length) {
+        throw new Error("--history requires a directory");
+      }
+      options.history = argv[i];
+    } else if (arg.startsWith("-")) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.revs.push(arg);
+    }
+  }
+
+  return options;
+}
+
+// Returns the path to sections.json for the command line argument.
+function resolveSecDataPath(rev, historyDir) {
+  if (fs.existsSync(rev) && fs.statSync(rev).isFile()) {
+    return rev;
+  }
+  return path.join(historyDir, rev, "sections.json");
+}
+
+function loadSecData(rev, historyDir) {
+  const secDataPath = resolveSecDataPath(rev, historyDir);
+  if (!fs.existsSync(secDataPath)) {
+    throw new Error(`${secDataPath} is not found`);
+  }
+
+  const secData = JSON.parse(fs.readFileSync(secDataPath, "utf-8"));
+  SectionsComparator.createSecMap(secData);
+  return secData;
+}
+
+// Returns section number + title for the section, without markup such as
+// `<var>`, or the section id if not found.
+function getPlainSectionTitle(secComparator, id) {
+  const title = secComparator.getSectionTitle(id);
+  return title ? title.replace(/<[^>]*>/g, "") : id;
+}
+
+async function createDiffBox(secComparator, id, options) {
+  const fromHTML = secComparator.getFromSectionHTML(id);
+  const toHTML = SectionsComparator.getSectionHTML(secComparator.toSecData, id);
+
+  const box = new LightDocument().createElement("div");
+  box.innerHTML = await diffSectionHTML(fromHTML, toHTML, {
+    algDiff: options.algDiff,
+    charDiff: options.charDiff,
+  });
+  HTMLTreeDiff.prefixMoveIds(box, id);
+  secComparator.fixupExcluded("diff", box);
+  return box;
+}
+
+async function printDiff(secComparator, id, options) {
+  const box = await createDiffBox(secComparator, id, options);
+
+  if (options.format !== "html") {
+    const formatter = new DiffTextFormatter(
+      options.format, secId => secComparator.getSectionTitle(secId));
+    console.log(formatter.format(box));
+    return;
+  }
+
+  console.log(`<!-- ${id} -->`);
+  console.log(box.innerHTML);
+}
+
+async function printReport(secComparator, options) {
+  // Each modified section is diffed separately, given the section HTML
+  // doesn't contain subsections.
+  const diffBox = new LightDocument().createElement("div");
+  for (const { id, stat } of secComparator.getSectionList()) {
+    if (stat === "mod" || stat === "move") {
+      const box = await createDiffBox(secComparator, id, options);
+      for (const child of [...box.childNodes]) {
+        diffBox.appendChild(child);
+      }
+    }
+  }
+
+  const [from, to] = options.revs;
+  const report = new DiffReport(secComparator).create(from, to, diffBox);
+  console.log(JSON.stringify(report, null, 2));
+}
+
+function printAbstractOperations(secComparator) {
+  const changes = secComparator.getAbstractOperationChanges();
+  const toSignature = (name, params) => `${name} ( ${params.join(", ")} )`;
+  for (const change of changes) {
+    const from = toSignature(change.fromName, change.fromParams);
+    const to = toSignature(change.toName, change.toParams);
+    const mark = AO_MARKS[change.type];
+    switch (change.type) {
+      case "ins":
+        console.log(`${mark} ${to} #${change.toId}`);
+        break;
+      case "del":
+        console.log(`${mark} ${from} #${change.fromId}`);
+        break;
+      case "rename":
+      case "signature":
+        console.log(`${mark} ${from} -> ${to} #${change.toId}`);
+        break;
+      default:
+        throw new Error(`Unknown abstract operation change: ${change.type}`);
+    }
+  }
+
+  if (changes.length === 1) {
+    console.log(`${changes.length} abstract operation changed`);
+  } else {
+    console.log(`${changes.length} abstract operations changed`);
+  }
+}
+
+function printXrefImpact(secComparator, options) {
+  for (const { id, stat } of secComparator.getSectionList()) {
+    if (stat === "same") {
+      continue;
+    }
+    if (options.normative && !secComparator.isNormativeChange(id)) {
+      continue;
+    }
+
+    const referrers = secComparator.getReferrers(id);
+    if (referrers.length === 0) {
+      continue;
+    }
+
+    const title = getPlainSectionTitle(secComparator, id);
+    console.log(`${STAT_MARKS[stat]} ${title}`);
+    for (const referrer of referrers) {
+      const referrerTitle = getPlainSectionTitle(secComparator, referrer.id);
+      const note = referrer.stat === "same" ? " (not changed)" : "";
+      console.log(`     ${STAT_MARKS[referrer.stat]} ${referrerTitle}${note}`);
+    }
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (options.revs.length !== 2) {
+    process.stderr.write(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const [fromSecData, toSecData] = options.revs.map(
+    rev => loadSecData(rev, options.history));
+  const secComparator = new SectionsComparator(fromSecData, toSecData);
+  secComparator.setHideRenumbering(options.hideRenumbering);
+
+  if (options.json) {
+    await printReport(secComparator, options);
+    return;
+  }
+
+  if (options.aos) {
+    printAbstractOperations(secComparator);
+    return;
+  }
+
+  if (options.xrefs) {
+    printXrefImpact(secComparator, options);
+    return;
+  }
+
+  const changed = [];
+  for (const { id, stat } of secComparator.getSectionList()) {
+    if (stat !== "same" && options.normative &&
+        !secComparator.isNormativeChange(id)) {
+      continue;
+    }
+
+    if (stat !== "same") {
+      changed.push(id);
+    } else if (!options.all) {
+      continue;
+    }
+
+    const title = getPlainSectionTitle(secComparator, id);
+    if (options.stat && stat !== "same") {
+      const { del, ins } = secComparator.getWordStat(id);
+      const categories = secComparator.getChangeCategories(id).join(", ");
+      console.log(`${STAT_MARKS[stat]} ${title} (\u2248 +${ins} -${del}) [${categories}]`);
+    } else {
+      console.log(`${STAT_MARKS[stat]} ${title}`);
+    }
+  }
+
+  if (changed.length === 0) {
+    console.log("No difference (changes in markup or something)");
+  } else if (changed.length === 1) {
+    console.log(`${changed.length} section differs`);
+  } else {
+    console.log(`${changed.length} sections differ`);
+  }
+
+  if (options.diff) {
+    for (const id of changed) {
+      await printDiff(secComparator, id, options);
+    }
+  }
+}
+
+main().catch(e => {
+  console.error(e.message);
+  process.exitCode = 1;
+});